@@ -1,16 +1,49 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { io } from 'socket.io-client';
-import { FiPlay, FiPause, FiSkipForward, FiShare2, FiTrash2, FiMenu, FiMusic, FiCopy, FiX, FiSearch, FiPlus, FiCheck, FiList, FiLink } from 'react-icons/fi';
+import { FiPlay, FiPause, FiSkipForward, FiShare2, FiTrash2, FiMenu, FiMusic, FiCopy, FiX, FiSearch, FiPlus, FiCheck, FiList, FiLink, FiPower, FiSettings, FiLock } from 'react-icons/fi';
 import { DndContext, closestCenter, KeyboardSensor, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { QRCodeSVG } from 'qrcode.react';
 import { searchYouTube } from '../utils/youtube';
+import { formatRequesters, getDurationRefusal, getReactionCounts } from '../utils/songs';
+import { applyQueueDelta } from '../utils/queue';
+import RecentlyPlayed from './RecentlyPlayed';
+import RoomSettingsModal from './RoomSettingsModal';
+import GuestList from './GuestList';
+import ApprovalInbox from './ApprovalInbox';
+import ChatPanel from './ChatPanel';
+import PresenceIndicator from './PresenceIndicator';
+import CohostPanel from './CohostPanel';
 
 const SOCKET_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
 
-function SortableSongItem({ song, onRemove, onPlay, isFallback }) {
+// Number of played songs shown in "Recently played"
+const HISTORY_SIZE = 20;
+
+// Chat messages kept on screen
+const CHAT_HISTORY_SIZE = 200;
+
+// How long a reaction floats over the player (ms)
+const REACTION_ANIMATION_DURATION = 2500;
+
+// How often the player reports its position to the server (ms)
+const PLAYER_HEARTBEAT_INTERVAL = 5000;
+
+// Seek the player when it is this far off the server's position (seconds)
+const PLAYER_RESYNC_THRESHOLD = 3;
+
+// Why the server signed this dashboard out (`admin-session-ended`)
+const SESSION_ENDED_MESSAGES = {
+  rotated: 'You were signed out because the host changed the admin key. Sign in again with the room password.',
+  expired: 'Your admin session has expired. Sign in again with the room password.',
+  invalid: 'Your admin key is no longer valid. Sign in again with the room password.'
+};
+
+// Without `onRemove` the song is shown read-only (co-hosts who can't edit
+// this list)
+function SortableSongItem({ song, onRemove, onPlay, onPin, showScore, isFallback }) {
   const {
     attributes,
     listeners,
@@ -18,7 +51,7 @@ function SortableSongItem({ song, onRemove, onPlay, isFallback }) {
     transform,
     transition,
     isDragging
-  } = useSortable({ id: song.id });
+  } = useSortable({ id: song.id, disabled: !onRemove });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -28,26 +61,40 @@ function SortableSongItem({ song, onRemove, onPlay, isFallback }) {
 
   return (
     <div ref={setNodeRef} style={style} className={`song-item ${isFallback ? 'song-item-fallback' : ''}`}>
-      <div className="song-drag-handle" {...attributes} {...listeners}>
-        <FiMenu />
-      </div>
+      {onRemove && (
+        <div className="song-drag-handle" {...attributes} {...listeners}>
+          <FiMenu />
+        </div>
+      )}
       <img 
         src={song.thumbnail} 
         alt="" 
         className="song-thumbnail"
-        onClick={() => onPlay(song)}
-        style={{ cursor: 'pointer' }}
+        onClick={() => onPlay && onPlay(song)}
+        style={{ cursor: onPlay ? 'pointer' : 'default' }}
       />
-      <div className="song-info" onClick={() => onPlay(song)} style={{ cursor: 'pointer' }}>
+      <div className="song-info" onClick={() => onPlay && onPlay(song)} style={{ cursor: onPlay ? 'pointer' : 'default' }}>
         <div className="song-title">{song.title}</div>
         <div className="song-meta">
-          <span>{isFallback ? `${song.channel || 'Fallback'}` : `Added by ${song.addedBy}`}</span>
+          <span>{isFallback ? `${song.channel || 'Fallback'}` : `Added by ${formatRequesters(song)}`}</span>
+          {showScore && <span>• Score {song.score || 0}</span>}
         </div>
       </div>
       <div className="song-actions">
-        <button className="btn btn-icon btn-danger" onClick={() => onRemove(song.id)}>
-          <FiTrash2 size={16} />
-        </button>
+        {onPin && (
+          <button
+            className={`btn btn-icon btn-secondary btn-pin ${song.pinned ? 'active' : ''}`}
+            onClick={() => onPin(song.id, !song.pinned)}
+            title={song.pinned ? 'Unpin (let votes decide)' : 'Pin to this position'}
+          >
+            <FiLock size={16} />
+          </button>
+        )}
+        {onRemove && (
+          <button className="btn btn-icon btn-danger" onClick={() => onRemove(song.id)}>
+            <FiTrash2 size={16} />
+          </button>
+        )}
       </div>
     </div>
   );
@@ -58,6 +105,7 @@ function AdminDashboard() {
   const navigate = useNavigate();
   const [socket, setSocket] = useState(null);
   const [queue, setQueue] = useState([]);
+  const [history, setHistory] = useState([]);
   const [currentSong, setCurrentSong] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isPlayingFallback, setIsPlayingFallback] = useState(false);
@@ -67,6 +115,25 @@ function AdminDashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [hostName, setHostName] = useState('DJ');
+  const [roomClosed, setRoomClosed] = useState(false);
+  const [role, setRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [cohosts, setCohosts] = useState([]);
+  const [cohostRevoked, setCohostRevoked] = useState(false);
+  const [accessKey, setAccessKey] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [skipVotes, setSkipVotes] = useState({ votes: 0, needed: 0, enabled: false });
+  const [guests, setGuests] = useState([]);
+  const [presence, setPresence] = useState(null);
+  // Lost the connection: everything shown may be stale until the server's
+  // snapshot comes in on rejoin
+  const [reconnecting, setReconnecting] = useState(false);
+  const [approvalInbox, setApprovalInbox] = useState([]);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatError, setChatError] = useState('');
+  const [reactionCounts, setReactionCounts] = useState({});
+  const [floatingReactions, setFloatingReactions] = useState([]);
   
   // Fallback playlist
   const [fallbackPlaylist, setFallbackPlaylist] = useState([]);
@@ -86,7 +153,17 @@ function AdminDashboard() {
   const [addedToFallback, setAddedToFallback] = useState(new Set());
   
   const playerRef = useRef(null);
-  const adminToken = localStorage.getItem(`admin_${roomId}`);
+  const currentSongRef = useRef(null);
+  // Server-side playback position, used to start the player at the right spot
+  const playbackRef = useRef({ position: 0, isPlaying: true, receivedAt: Date.now() });
+  // Versions of the queue and fallback playlist we're looking at, sent with
+  // every edit so the server can tell if we're out of date
+  const queueVersionRef = useRef(0);
+  const fallbackVersionRef = useRef(0);
+  // Latest queue for deltas to apply to (state may lag behind)
+  const queueRef = useRef([]);
+  // Changes when the host rotates it, which reconnects with the new one
+  const [adminToken, setAdminToken] = useState(() => localStorage.getItem(`admin_${roomId}`));
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -102,38 +179,127 @@ function AdminDashboard() {
       return;
     }
 
+    let awaitingQueue = false;
+    const showQueue = (newQueue, version) => {
+      awaitingQueue = false;
+      queueRef.current = newQueue;
+      queueVersionRef.current = version || 0;
+      setQueue(newQueue);
+    };
+
     // Verify admin access
     fetch(`/api/rooms/${roomId}/admin`, {
       headers: { 'x-admin-token': adminToken }
     })
-      .then(res => {
-        if (!res.ok) throw new Error('Invalid admin token');
+      .then(async res => {
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.type === 'session_expired' ? data.error : 'Room not found or access denied.');
+        }
         return res.json();
       })
       .then(data => {
-        setQueue(data.queue);
+        playbackRef.current = { position: data.position || 0, isPlaying: data.isPlaying, receivedAt: Date.now() };
+        showQueue(data.queue, data.queueVersion);
         setCurrentSong(data.currentSong);
+        setReactionCounts(getReactionCounts(data.currentSong?.reactions));
         setIsPlaying(data.isPlaying);
+        setIsPlayingFallback(data.isPlayingFallback || false);
         setHostName(data.hostName || 'DJ');
+        setRole(data.role);
+        setPermissions(data.permissions || []);
+        setCohosts(data.cohosts || []);
+        setAccessKey(data.accessKey);
         setFallbackPlaylist(data.fallbackPlaylist || []);
+        fallbackVersionRef.current = data.fallbackVersion || 0;
+        setSettings(data.settings);
+        if (data.skipVotes) setSkipVotes(data.skipVotes);
+        setGuests(data.guests || []);
+        setApprovalInbox(data.pendingRequests || []);
         setLoading(false);
       })
       .catch(err => {
-        setError('Room not found or access denied.');
+        setError(err.message);
         setLoading(false);
       });
 
+    fetch(`/api/rooms/${roomId}/history?limit=${HISTORY_SIZE}`, {
+      headers: { 'x-admin-token': adminToken }
+    })
+      .then(res => res.ok ? res.json() : [])
+      .then(setHistory)
+      .catch(() => {});
+
     // Connect to socket
     const newSocket = io(SOCKET_URL);
     setSocket(newSocket);
 
-    newSocket.emit('join-room', roomId);
+    // (Re)join on every connect so the player resyncs after a dropped connection
+    newSocket.on('connect', () => {
+      newSocket.emit('join-room', { roomId, adminToken });
+    });
 
-    newSocket.on('queue-updated', (newQueue) => {
-      setQueue(newQueue);
+    // Dropped by the network rather than sent away by the server
+    newSocket.on('disconnect', (reason) => {
+      if (reason !== 'io server disconnect' && reason !== 'io client disconnect') {
+        setReconnecting(true);
+      }
+    });
+
+    // Everything about the room, sent on every (re)join
+    newSocket.on('room-state', (state) => {
+      showQueue(state.queue, state.queueVersion);
+      fallbackVersionRef.current = state.fallbackVersion || 0;
+      setFallbackPlaylist(state.fallbackPlaylist);
+      setIsPlayingFallback(state.isPlayingFallback || false);
+      setSettings(state.settings);
+      setSkipVotes(state.skipVotes);
+      setHistory(state.history);
+      setPresence(state.presence);
+      setGuests(state.guests || []);
+      if (state.cohosts) setCohosts(state.cohosts);
+      setReconnecting(false);
+      setIsPlaying(state.isPlaying);
+      playbackRef.current = { position: state.position || 0, isPlaying: state.isPlaying, receivedAt: Date.now() };
+
+      setReactionCounts(getReactionCounts(state.currentSong?.reactions));
+      const current = currentSongRef.current;
+      if (!state.currentSong || !current || state.currentSong.id !== current.id) {
+        setCurrentSong(state.currentSong);
+      } else if (playerRef.current && playerRef.current.getCurrentTime) {
+        if (Math.abs(playerRef.current.getCurrentTime() - state.position) > PLAYER_RESYNC_THRESHOLD) {
+          playerRef.current.seekTo(state.position, true);
+        }
+      }
+    });
+
+    newSocket.on('queue-updated', ({ queue: newQueue, version }) => {
+      showQueue(newQueue, version);
+    });
+
+    // Deltas must follow on from the version we have. After a gap, ask for
+    // the whole queue again.
+    newSocket.on('queue-delta', (delta) => {
+      if (awaitingQueue || delta.version <= queueVersionRef.current) return;
+      const newQueue = delta.version === queueVersionRef.current + 1 ? applyQueueDelta(queueRef.current, delta) : null;
+      if (newQueue) {
+        showQueue(newQueue, delta.version);
+      } else {
+        awaitingQueue = true;
+        newSocket.emit('request-queue-sync', { roomId });
+      }
+    });
+
+    // An edit was based on a list that changed too much in the meantime:
+    // take the server's list instead
+    newSocket.on('queue-op-rejected', ({ queue: newQueue, version }) => {
+      showQueue(newQueue, version);
     });
 
     newSocket.on('now-playing', (data) => {
+      setSkipVotes(prev => ({ ...prev, votes: 0 }));
+      setReactionCounts({});
+      playbackRef.current = { position: 0, isPlaying: true, receivedAt: Date.now() };
       if (data && data.song !== undefined) {
         setCurrentSong(data.song);
         setIsPlayingFallback(data.isPlayingFallback || false);
@@ -146,12 +312,128 @@ function AdminDashboard() {
 
     newSocket.on('play-state-changed', (playing) => {
       setIsPlaying(playing);
+      // A co-host may have paused or resumed, so keep the player in step
+      const player = playerRef.current;
+      if (player && player.getPlayerState) {
+        if (playing) {
+          player.playVideo();
+        } else {
+          player.pauseVideo();
+        }
+      }
+    });
+
+    newSocket.on('history-added', (entry) => {
+      setHistory(prev => [entry, ...prev].slice(0, HISTORY_SIZE));
+    });
+
+    newSocket.on('playback-sync', (sync) => {
+      const player = playerRef.current;
+      const current = currentSongRef.current;
+      if (!player || !player.getCurrentTime || !current || current.id !== sync.songId) return;
+      if (Math.abs(player.getCurrentTime() - sync.position) > PLAYER_RESYNC_THRESHOLD) {
+        player.seekTo(sync.position, true);
+      }
     });
     
-    newSocket.on('fallback-updated', (playlist) => {
+    newSocket.on('fallback-updated', ({ playlist, version }) => {
+      fallbackVersionRef.current = version;
       setFallbackPlaylist(playlist);
     });
 
+    newSocket.on('fallback-op-rejected', ({ playlist, version }) => {
+      fallbackVersionRef.current = version;
+      setFallbackPlaylist(playlist);
+    });
+
+    newSocket.on('settings-updated', (newSettings) => {
+      setSettings(newSettings);
+    });
+
+    newSocket.on('skip-votes-updated', (tally) => {
+      setSkipVotes(tally);
+    });
+
+    newSocket.on('guests-updated', (guestList) => {
+      setGuests(guestList);
+    });
+
+    newSocket.on('presence-updated', (update) => {
+      setPresence(update);
+    });
+
+    newSocket.on('pending-updated', (requests) => {
+      setApprovalInbox(requests);
+    });
+
+    // Float each reaction over the player for a moment
+    newSocket.on('reaction', ({ songId, emoji, reactions }) => {
+      if (!currentSongRef.current || currentSongRef.current.id !== songId) return;
+      setReactionCounts(getReactionCounts(reactions));
+
+      const id = `${Date.now()}-${Math.random()}`;
+      setFloatingReactions(prev => [...prev, { id, emoji, left: 10 + Math.random() * 80 }]);
+      setTimeout(() => {
+        setFloatingReactions(prev => prev.filter(reaction => reaction.id !== id));
+      }, REACTION_ANIMATION_DURATION);
+    });
+
+    newSocket.on('chat-history', (messages) => {
+      setChatMessages(messages);
+    });
+
+    newSocket.on('chat-message', (message) => {
+      setChatMessages(prev => [...prev, message].slice(-CHAT_HISTORY_SIZE));
+    });
+
+    newSocket.on('chat-deleted', ({ messageId }) => {
+      setChatMessages(prev => prev.filter(message => message.id !== messageId));
+    });
+
+    newSocket.on('chat-error', (err) => {
+      setChatError(err.error || 'Could not send your message.');
+    });
+
+    newSocket.on('add-song-error', (rejection) => {
+      setSearchError(rejection.error || 'Could not add that song.');
+    });
+
+    newSocket.on('room-closed', () => {
+      setRoomClosed(true);
+    });
+
+    // What this admin may do (co-hosts' permissions can change at any time)
+    newSocket.on('admin-identity', (identity) => {
+      setRole(identity.role);
+      setPermissions(identity.permissions || []);
+    });
+
+    // Private rooms: the key in the invite link changed
+    newSocket.on('access-key-updated', ({ accessKey: newKey }) => {
+      setAccessKey(newKey);
+    });
+
+    newSocket.on('cohosts-updated', (list) => {
+      setCohosts(list);
+    });
+
+    // We rotated the admin token: keep the new one
+    newSocket.on('admin-token-rotated', ({ adminToken: newToken }) => {
+      localStorage.setItem(`admin_${roomId}`, newToken);
+      setAdminToken(newToken);
+    });
+
+    // Another host rotated the admin token, or our session ran out
+    newSocket.on('admin-session-ended', ({ reason } = {}) => {
+      localStorage.removeItem(`admin_${roomId}`);
+      setError(SESSION_ENDED_MESSAGES[reason] || SESSION_ENDED_MESSAGES.invalid);
+    });
+
+    newSocket.on('cohost-revoked', () => {
+      localStorage.removeItem(`admin_${roomId}`);
+      setCohostRevoked(true);
+    });
+
     return () => {
       newSocket.disconnect();
     };
@@ -167,38 +449,73 @@ function AdminDashboard() {
     }
   }, []);
 
+  useEffect(() => {
+    currentSongRef.current = currentSong;
+  }, [currentSong]);
+
   const onPlayerStateChange = useCallback((event) => {
+    const songId = currentSongRef.current ? currentSongRef.current.id : null;
+
     // Video ended
     if (event.data === 0) {
       if (socket && adminToken) {
-        socket.emit('song-ended', { roomId, adminToken });
+        socket.emit('song-ended', { roomId, songId, adminToken });
       }
     }
     // Video playing
     if (event.data === 1) {
       setIsPlaying(true);
+      if (socket) socket.emit('toggle-play', { roomId, isPlaying: true, adminToken });
     }
     // Video paused
     if (event.data === 2) {
       setIsPlaying(false);
+      if (socket) socket.emit('toggle-play', { roomId, isPlaying: false, adminToken });
     }
   }, [socket, roomId, adminToken]);
 
-  // Initialize YouTube player when current song changes
+  // Report player progress so the server can keep the room in sync
+  useEffect(() => {
+    if (!socket) return;
+
+    const interval = setInterval(() => {
+      const player = playerRef.current;
+      const song = currentSongRef.current;
+      if (!player || !player.getCurrentTime || !song) return;
+
+      socket.emit('player-progress', {
+        roomId,
+        songId: song.id,
+        position: player.getCurrentTime(),
+        duration: player.getDuration(),
+        adminToken
+      });
+    }, PLAYER_HEARTBEAT_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [socket, roomId, adminToken]);
+
+  // Initialize YouTube player when current song changes. Only the host's
+  // dashboard plays the music; co-hosts see what's on.
   useEffect(() => {
-    if (!currentSong) return;
+    if (!currentSong || role !== 'host') return;
 
     const initPlayer = () => {
       if (playerRef.current) {
         playerRef.current.destroy();
       }
 
+      // Pick up where the server says the song is
+      const { position, isPlaying: shouldPlay, receivedAt } = playbackRef.current;
+      const startAt = shouldPlay ? position + (Date.now() - receivedAt) / 1000 : position;
+
       playerRef.current = new window.YT.Player('youtube-player', {
         height: '100%',
         width: '100%',
         videoId: currentSong.videoId,
         playerVars: {
-          autoplay: 1,
+          autoplay: shouldPlay ? 1 : 0,
+          start: Math.floor(startAt),
           controls: 1,
           modestbranding: 1,
           rel: 0
@@ -214,7 +531,7 @@ function AdminDashboard() {
     } else {
       window.onYouTubeIframeAPIReady = initPlayer;
     }
-  }, [currentSong, onPlayerStateChange]);
+  }, [currentSong, onPlayerStateChange, role]);
 
   const handlePlayPause = () => {
     if (playerRef.current) {
@@ -223,8 +540,8 @@ function AdminDashboard() {
       } else {
         playerRef.current.playVideo();
       }
-      socket.emit('toggle-play', { roomId, isPlaying: !isPlaying, adminToken });
     }
+    socket.emit('toggle-play', { roomId, isPlaying: !isPlaying, adminToken });
   };
 
   const handleSkip = () => {
@@ -232,14 +549,24 @@ function AdminDashboard() {
   };
 
   const handlePlayNow = (song) => {
-    // Remove from queue and set as current
-    const newQueue = queue.filter(s => s.id !== song.id);
-    socket.emit('reorder-queue', { roomId, queue: newQueue, adminToken });
-    socket.emit('set-current-song', { roomId, song, adminToken });
+    // Taken out of the queue and started in one step on the server
+    socket.emit('queue-op', {
+      roomId,
+      op: { type: 'play', songId: song.id, baseVersion: queueVersionRef.current },
+      adminToken
+    });
+  };
+
+  const handlePin = (songId, pinned) => {
+    socket.emit('pin-song', { roomId, songId, pinned, adminToken });
   };
 
   const handleRemove = (songId) => {
-    socket.emit('remove-song', { roomId, songId, adminToken });
+    socket.emit('queue-op', {
+      roomId,
+      op: { type: 'remove', songId, baseVersion: queueVersionRef.current },
+      adminToken
+    });
   };
 
   const handleDragEnd = (event) => {
@@ -249,8 +576,13 @@ function AdminDashboard() {
       const oldIndex = queue.findIndex(s => s.id === active.id);
       const newIndex = queue.findIndex(s => s.id === over.id);
       const newQueue = arrayMove(queue, oldIndex, newIndex);
+      queueRef.current = newQueue;
       setQueue(newQueue);
-      socket.emit('reorder-queue', { roomId, queue: newQueue, adminToken });
+      socket.emit('queue-op', {
+        roomId,
+        op: { type: 'move', songId: active.id, afterId: newQueue[newIndex - 1]?.id ?? null, baseVersion: queueVersionRef.current },
+        adminToken
+      });
     }
   };
 
@@ -262,20 +594,134 @@ function AdminDashboard() {
       const newIndex = fallbackPlaylist.findIndex(s => s.id === over.id);
       const newPlaylist = arrayMove(fallbackPlaylist, oldIndex, newIndex);
       setFallbackPlaylist(newPlaylist);
-      socket.emit('reorder-fallback', { roomId, playlist: newPlaylist, adminToken });
+      socket.emit('fallback-op', {
+        roomId,
+        op: { type: 'move', songId: active.id, afterId: newPlaylist[newIndex - 1]?.id ?? null, baseVersion: fallbackVersionRef.current },
+        adminToken
+      });
     }
   };
 
   const handlePlayFromFallback = (song) => {
-    socket.emit('set-current-song', { roomId, song: { ...song, addedBy: 'Fallback' }, adminToken });
+    socket.emit('fallback-op', {
+      roomId,
+      op: { type: 'play', songId: song.id, baseVersion: fallbackVersionRef.current },
+      adminToken
+    });
   };
 
   const handlePlayNext = () => {
     socket.emit('play-next', { roomId, adminToken });
   };
 
+  const handleExportHistory = async (format) => {
+    try {
+      const response = await fetch(`/api/rooms/${roomId}/history/export?format=${format}`, {
+        headers: { 'x-admin-token': adminToken }
+      });
+      if (!response.ok) throw new Error('Export failed');
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `guestdj-${roomId}-history.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('History export failed:', err);
+    }
+  };
+
+  const handleSaveSettings = (newSettings) => {
+    socket.emit('update-settings', { roomId, settings: newSettings, adminToken });
+  };
+
+  const handleResetInvite = () => {
+    if (!socket) return;
+    if (!window.confirm('Make a new invite link? The old link and QR code will stop working for anyone who hasn\'t joined yet.')) return;
+    socket.emit('reset-invite-link', { roomId, adminToken });
+  };
+
+  const handleRotateToken = () => {
+    if (!socket) return;
+    socket.emit('rotate-admin-token', { roomId, adminToken });
+  };
+
+  const handleEndParty = () => {
+    if (!window.confirm('End the party? The room will be closed for all guests.')) return;
+    socket.emit('close-room', { roomId, adminToken });
+  };
+
+  const handleSendChat = (text) => {
+    if (!socket) return;
+    setChatError('');
+    socket.emit('send-chat', { roomId, text, adminToken });
+  };
+
+  const handleDeleteChat = (message) => {
+    if (!socket) return;
+    socket.emit('delete-chat', { roomId, messageId: message.id, adminToken });
+  };
+
+  const handleMuteChat = (message) => {
+    if (!socket || !window.confirm(`Mute ${message.name} in the chat?`)) return;
+    socket.emit('moderate-guest', { roomId, guestId: message.guestId, action: 'mute-chat', adminToken });
+  };
+
+  // Rejecting asks for an optional reason to show the guest
+  const handleReview = (songIds, action) => {
+    if (!socket) return;
+    let reason = null;
+    if (action === 'reject') {
+      reason = window.prompt('Reason for the guest (optional):', '');
+      if (reason === null) return;
+    }
+    socket.emit('review-requests', { roomId, songIds, action, reason, adminToken });
+  };
+
+  // Kicking or banning asks whether to also clear the guest's queued songs
+  const handleModerate = (guest, action) => {
+    if (!socket) return;
+    let purge = false;
+    if (action === 'kick' || action === 'ban') {
+      const name = guest.name || 'this guest';
+      const warning = action === 'ban'
+        ? `Ban ${name}? They won't be able to rejoin for the rest of the party.`
+        : `Kick ${name}? They can rejoin with the room link.`;
+      if (!window.confirm(warning)) return;
+
+      const queued = queue.filter(song => song.guestId === guest.id).length;
+      purge = queued > 0 && window.confirm(`Also remove their ${queued} queued song${queued === 1 ? '' : 's'}?`);
+    }
+    socket.emit('moderate-guest', { roomId, guestId: guest.id, action, purge, adminToken });
+  };
+
+  // Host only: co-hosts start with the default permissions, which the host
+  // can then change in the co-host list
+  const handlePromote = (guest) => {
+    if (!socket) return;
+    if (!window.confirm(`Make ${guest.name || 'this guest'} a co-host? They'll get their own host controls.`)) return;
+    socket.emit('set-cohost', { roomId, guestId: guest.id, adminToken });
+  };
+
+  const handleCohostChange = (cohost, newPermissions) => {
+    if (!socket) return;
+    socket.emit('set-cohost', { roomId, guestId: cohost.guestId, permissions: newPermissions, adminToken });
+  };
+
+  const handleRevokeCohost = (cohost) => {
+    if (!socket) return;
+    if (!window.confirm(`Remove ${cohost.name || 'this guest'} as co-host? They'll stay in the room as a guest.`)) return;
+    socket.emit('revoke-cohost', { roomId, guestId: cohost.guestId, adminToken });
+  };
+
+  // Private rooms share a link with the access key in it
+  const isPrivateRoom = Boolean(settings?.privacy?.private);
+  const shareUrl = isPrivateRoom
+    ? `${window.location.origin}/room/${roomId}?invite=${encodeURIComponent(accessKey || '')}`
+    : `${window.location.origin}/room/${roomId}`;
+
   const copyShareLink = () => {
-    const shareUrl = `${window.location.origin}/room/${roomId}`;
     navigator.clipboard.writeText(shareUrl);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
@@ -290,7 +736,7 @@ function AdminDashboard() {
     setFallbackSearchResults([]);
 
     try {
-      const results = await searchYouTube(fallbackSearchQuery);
+      const results = await searchYouTube(fallbackSearchQuery, roomId);
       setFallbackSearchResults(results);
     } catch (err) {
       console.error('Fallback search failed:', err);
@@ -299,20 +745,29 @@ function AdminDashboard() {
     }
   };
 
-  const handleAddToFallback = (video) => {
-    if (addedToFallback.has(video.videoId)) return;
-    
-    socket.emit('add-to-fallback', {
+  // Inserts without a position go to the end of the playlist
+  const appendToFallback = (video) => {
+    socket.emit('fallback-op', {
       roomId,
-      song: {
-        videoId: video.videoId,
-        title: video.title,
-        thumbnail: video.thumbnail,
-        channel: video.channel,
-        duration: video.duration
+      op: {
+        type: 'insert',
+        song: {
+          videoId: video.videoId,
+          title: video.title,
+          thumbnail: video.thumbnail,
+          channel: video.channel,
+          duration: video.duration
+        },
+        baseVersion: fallbackVersionRef.current
       },
       adminToken
     });
+  };
+
+  const handleAddToFallback = (video) => {
+    if (addedToFallback.has(video.videoId)) return;
+    
+    appendToFallback(video);
     
     setAddedToFallback(prev => new Set([...prev, video.videoId]));
     
@@ -326,7 +781,11 @@ function AdminDashboard() {
   };
 
   const handleRemoveFromFallback = (songId) => {
-    socket.emit('remove-from-fallback', { roomId, songId, adminToken });
+    socket.emit('fallback-op', {
+      roomId,
+      op: { type: 'remove', songId, baseVersion: fallbackVersionRef.current },
+      adminToken
+    });
   };
 
   const handleImportPlaylist = async (e) => {
@@ -346,17 +805,7 @@ function AdminDashboard() {
       
       // Add all videos to fallback playlist
       for (const video of data.videos) {
-        socket.emit('add-to-fallback', {
-          roomId,
-          song: {
-            videoId: video.videoId,
-            title: video.title,
-            thumbnail: video.thumbnail,
-            channel: video.channel,
-            duration: video.duration
-          },
-          adminToken
-        });
+        appendToFallback(video);
       }
       
       setPlaylistUrl('');
@@ -379,7 +828,7 @@ function AdminDashboard() {
     setSearchResults([]);
 
     try {
-      const results = await searchYouTube(searchQuery);
+      const results = await searchYouTube(searchQuery, roomId);
       setSearchResults(results);
     } catch (err) {
       setSearchError(err.message || 'Search failed. Please try again.');
@@ -399,8 +848,10 @@ function AdminDashboard() {
         thumbnail: video.thumbnail,
         channel: video.channel,
         duration: video.duration,
+        isLive: video.isLive,
         addedBy: hostName
-      }
+      },
+      adminToken
     });
     
     setAddedSongs(prev => new Set([...prev, video.videoId]));
@@ -422,6 +873,30 @@ function AdminDashboard() {
     );
   }
 
+  if (cohostRevoked) {
+    return (
+      <div className="error-page">
+        <h1>⭐ Co-host Role Removed</h1>
+        <p>The host took back your co-host controls. You can still join in as a guest.</p>
+        <button className="btn btn-primary" onClick={() => navigate(`/room/${roomId}`)}>
+          Back to the Room
+        </button>
+      </div>
+    );
+  }
+
+  if (roomClosed) {
+    return (
+      <div className="error-page">
+        <h1>🏁 Party's Over</h1>
+        <p>This room has been closed.</p>
+        <button className="btn btn-primary" onClick={() => navigate('/')}>
+          Go Home
+        </button>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="error-page">
@@ -434,6 +909,9 @@ function AdminDashboard() {
     );
   }
 
+  const isHost = role === 'host';
+  const can = (permission) => permissions.includes(permission);
+
   return (
     <div className="dashboard">
       <header className="dashboard-header">
@@ -442,51 +920,94 @@ function AdminDashboard() {
         </Link>
         <div className="room-info">
           <span className="room-id">Room: {roomId}</span>
-          <button className="btn btn-secondary btn-icon" onClick={() => setShowFallbackModal(true)} title="Fallback Playlist">
-            <FiList size={18} />
-          </button>
+          {!isHost && <span className="cohost-badge">⭐ Co-host</span>}
+          <PresenceIndicator presence={presence} />
+          {can('fallback') && (
+            <button className="btn btn-secondary btn-icon" onClick={() => setShowFallbackModal(true)} title="Fallback Playlist">
+              <FiList size={18} />
+            </button>
+          )}
+          {isHost && (
+            <button className="btn btn-secondary btn-icon" onClick={() => setShowSettingsModal(true)} title="Room Settings">
+              <FiSettings size={18} />
+            </button>
+          )}
           <button className="btn btn-secondary btn-icon" onClick={() => setShowShareModal(true)} title="Share Room">
             <FiShare2 size={18} />
           </button>
+          {isHost && (
+            <button className="btn btn-danger btn-icon" onClick={handleEndParty} title="End Party">
+              <FiPower size={18} />
+            </button>
+          )}
         </div>
       </header>
 
-      <div className="dashboard-content">
+      {reconnecting && (
+        <div className="reconnecting-banner">
+          <div className="spinner" /> Reconnecting…
+        </div>
+      )}
+
+      <div className={`dashboard-content ${reconnecting ? 'reconnecting' : ''}`}>
         <div className="admin-dashboard">
           <div className="admin-main">
             {/* Player Section */}
             <div className="player-section">
               <div className="player-container">
-                {currentSong ? (
-                  <div id="youtube-player"></div>
-                ) : (
+                {currentSong && isHost && <div id="youtube-player"></div>}
+                {currentSong && !isHost && (
+                  <img src={currentSong.thumbnail} alt="" className="player-thumbnail" />
+                )}
+                {!currentSong && (
                   <div className="player-placeholder">
                     <FiMusic size={64} />
                     <p>No song playing</p>
-                    {(queue.length > 0 || fallbackPlaylist.length > 0) && (
+                    {can('playback') && (queue.length > 0 || fallbackPlaylist.length > 0) && (
                       <button className="btn btn-primary" onClick={handlePlayNext}>
                         {queue.length > 0 ? 'Play Next in Queue' : 'Play Fallback'}
                       </button>
                     )}
                   </div>
                 )}
+                <div className="reaction-overlay">
+                  {floatingReactions.map(reaction => (
+                    <span key={reaction.id} className="floating-reaction" style={{ left: `${reaction.left}%` }}>
+                      {reaction.emoji}
+                    </span>
+                  ))}
+                </div>
               </div>
               
               {currentSong && (
                 <>
-                  <div className="player-controls">
-                    <button className="btn btn-secondary btn-icon" onClick={handlePlayPause} title={isPlaying ? 'Pause' : 'Play'}>
-                      {isPlaying ? <FiPause size={24} /> : <FiPlay size={24} />}
-                    </button>
-                    <button className="btn btn-secondary btn-icon" onClick={handleSkip} title="Skip to next">
-                      <FiSkipForward size={24} />
-                    </button>
-                  </div>
+                  {can('playback') && (
+                    <div className="player-controls">
+                      <button className="btn btn-secondary btn-icon" onClick={handlePlayPause} title={isPlaying ? 'Pause' : 'Play'}>
+                        {isPlaying ? <FiPause size={24} /> : <FiPlay size={24} />}
+                      </button>
+                      <button className="btn btn-secondary btn-icon" onClick={handleSkip} title="Skip to next">
+                        <FiSkipForward size={24} />
+                      </button>
+                    </div>
+                  )}
                   <div className="now-playing-info">
                     <p className="now-playing-label">
                       {isPlayingFallback ? '🎵 Fallback Playing' : 'Now Playing'}
                     </p>
                     <p className="now-playing-title">{currentSong.title}</p>
+                    {Object.keys(reactionCounts).length > 0 && (
+                      <p className="reaction-counts">
+                        {Object.entries(reactionCounts).map(([emoji, count]) => (
+                          <span key={emoji}>{emoji} {count}</span>
+                        ))}
+                      </p>
+                    )}
+                    {skipVotes.enabled && (
+                      <p className="skip-tally">
+                        <FiSkipForward size={12} /> Skip votes: {skipVotes.votes}/{skipVotes.needed}
+                      </p>
+                    )}
                   </div>
                 </>
               )}
@@ -522,33 +1043,68 @@ function AdminDashboard() {
 
               {searchResults.length > 0 && (
                 <div className="search-results">
-                  {searchResults.map((video) => (
-                    <div key={video.videoId} className="search-result-item">
-                      <img src={video.thumbnail} alt="" className="song-thumbnail" />
-                      <div className="song-info">
-                        <div className="song-title">{video.title}</div>
-                        <div className="song-meta">
-                          <span>{video.channel}</span>
-                          {video.duration && <span>• {video.duration}</span>}
+                  {searchResults.map((video) => {
+                    const refusal = getDurationRefusal(video, settings?.durationLimits);
+                    return (
+                      <div key={video.videoId} className={`search-result-item ${refusal ? 'refused' : ''}`} title={refusal || undefined}>
+                        <img src={video.thumbnail} alt="" className="song-thumbnail" />
+                        <div className="song-info">
+                          <div className="song-title">{video.title}</div>
+                          <div className="song-meta">
+                            <span>{video.channel}</span>
+                            {video.duration && <span>• {video.isLive ? 'LIVE' : video.duration}</span>}
+                            {refusal && <span className="refusal-reason">• {refusal}</span>}
+                          </div>
                         </div>
+                        <button 
+                          className={`btn btn-icon ${addedSongs.has(video.videoId) ? 'btn-secondary' : 'btn-primary'}`}
+                          onClick={() => handleAddSong(video)}
+                          disabled={Boolean(refusal) || addedSongs.has(video.videoId)}
+                          title="Add to queue"
+                        >
+                          {addedSongs.has(video.videoId) ? <FiCheck size={18} /> : <FiPlus size={18} />}
+                        </button>
                       </div>
-                      <button 
-                        className={`btn btn-icon ${addedSongs.has(video.videoId) ? 'btn-secondary' : 'btn-primary'}`}
-                        onClick={() => handleAddSong(video)}
-                        disabled={addedSongs.has(video.videoId)}
-                        title="Add to queue"
-                      >
-                        {addedSongs.has(video.videoId) ? <FiCheck size={18} /> : <FiPlus size={18} />}
-                      </button>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
+
+            {/* Recently Played */}
+            <RecentlyPlayed history={history} onExport={handleExportHistory} />
+
+            {/* Guests */}
+            {can('moderation') && (
+              <GuestList
+                guests={guests}
+                queue={queue}
+                onModerate={handleModerate}
+                onPromote={isHost ? handlePromote : null}
+              />
+            )}
+
+            {/* Co-hosts */}
+            {isHost && (
+              <CohostPanel cohosts={cohosts} onChange={handleCohostChange} onRevoke={handleRevokeCohost} />
+            )}
+
+            {/* Chat */}
+            <ChatPanel
+              messages={chatMessages}
+              onSend={handleSendChat}
+              onDelete={can('moderation') ? handleDeleteChat : null}
+              onMute={can('moderation') ? handleMuteChat : null}
+              error={chatError}
+            />
           </div>
 
           {/* Queue Section */}
           <div className="queue-section">
+            {can('queue') && (settings?.approval.required || approvalInbox.length > 0) && (
+              <ApprovalInbox requests={approvalInbox} onReview={handleReview} />
+            )}
+
             <div className="queue-header">
               <h2>
                 Guest Queue
@@ -572,8 +1128,10 @@ function AdminDashboard() {
                       <SortableSongItem
                         key={song.id}
                         song={song}
-                        onRemove={handleRemove}
-                        onPlay={handlePlayNow}
+                        onRemove={can('queue') ? handleRemove : null}
+                        onPlay={can('queue') && can('playback') ? handlePlayNow : null}
+                        onPin={can('queue') && settings && settings.queue.mode !== 'fifo' ? handlePin : null}
+                        showScore={settings?.queue.mode === 'democratic'}
                       />
                     ))}
                   </SortableContext>
@@ -582,49 +1140,53 @@ function AdminDashboard() {
             </div>
 
             {/* Fallback Playlist Section */}
-            <div className="queue-header" style={{ marginTop: '1.5rem', borderTop: '1px solid var(--border-color)', paddingTop: '1rem' }}>
-              <div>
-                <h2>
-                  <span style={{ color: 'var(--warning)' }}>🎵</span> Fallback
-                  <span className="queue-count">{fallbackPlaylist.length}</span>
-                </h2>
-                <p style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
-                  Plays in order • Drag to reorder
-                </p>
-              </div>
-              <button className="btn btn-secondary btn-sm" onClick={() => setShowFallbackModal(true)}>
-                <FiPlus size={14} /> Add
-              </button>
-            </div>
-            
-            <div className="queue-list">
-              {fallbackPlaylist.length === 0 ? (
-                <div className="queue-empty-small">
-                  <p>No fallback songs</p>
-                  <button className="btn btn-secondary btn-sm" onClick={() => setShowFallbackModal(true)} style={{ marginTop: '0.5rem' }}>
-                    Add fallback playlist
+            {can('fallback') && (
+              <>
+                <div className="queue-header" style={{ marginTop: '1.5rem', borderTop: '1px solid var(--border-color)', paddingTop: '1rem' }}>
+                  <div>
+                    <h2>
+                      <span style={{ color: 'var(--warning)' }}>🎵</span> Fallback
+                      <span className="queue-count">{fallbackPlaylist.length}</span>
+                    </h2>
+                    <p style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                      Plays in order • Drag to reorder
+                    </p>
+                  </div>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setShowFallbackModal(true)}>
+                    <FiPlus size={14} /> Add
                   </button>
                 </div>
-              ) : (
-                <DndContext
-                  sensors={sensors}
-                  collisionDetection={closestCenter}
-                  onDragEnd={handleFallbackDragEnd}
-                >
-                  <SortableContext items={fallbackPlaylist.map(s => s.id)} strategy={verticalListSortingStrategy}>
-                    {fallbackPlaylist.map((song) => (
-                      <SortableSongItem
-                        key={song.id}
-                        song={song}
-                        onRemove={handleRemoveFromFallback}
-                        onPlay={handlePlayFromFallback}
-                        isFallback={true}
-                      />
-                    ))}
-                  </SortableContext>
-                </DndContext>
-              )}
-            </div>
+            
+                <div className="queue-list">
+                  {fallbackPlaylist.length === 0 ? (
+                    <div className="queue-empty-small">
+                      <p>No fallback songs</p>
+                      <button className="btn btn-secondary btn-sm" onClick={() => setShowFallbackModal(true)} style={{ marginTop: '0.5rem' }}>
+                        Add fallback playlist
+                      </button>
+                    </div>
+                  ) : (
+                    <DndContext
+                      sensors={sensors}
+                      collisionDetection={closestCenter}
+                      onDragEnd={handleFallbackDragEnd}
+                    >
+                      <SortableContext items={fallbackPlaylist.map(s => s.id)} strategy={verticalListSortingStrategy}>
+                        {fallbackPlaylist.map((song) => (
+                          <SortableSongItem
+                            key={song.id}
+                            song={song}
+                            onRemove={handleRemoveFromFallback}
+                            onPlay={can('playback') ? handlePlayFromFallback : null}
+                            isFallback={true}
+                          />
+                        ))}
+                      </SortableContext>
+                    </DndContext>
+                  )}
+                </div>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -645,7 +1207,7 @@ function AdminDashboard() {
             {/* QR Code */}
             <div className="qr-code-container">
               <QRCodeSVG 
-                value={`${window.location.origin}/room/${roomId}`}
+                value={shareUrl}
                 size={200}
                 bgColor="#121212"
                 fgColor="#00ff88"
@@ -658,7 +1220,7 @@ function AdminDashboard() {
               <input
                 type="text"
                 className="input"
-                value={`${window.location.origin}/room/${roomId}`}
+                value={shareUrl}
                 readOnly
               />
               <button className="btn btn-primary" onClick={copyShareLink}>
@@ -676,14 +1238,35 @@ function AdminDashboard() {
               <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
                 <strong>Room Code:</strong> {roomId}
               </p>
+              {isPrivateRoom && settings.privacy.passcode && (
+                <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                  <strong>Passcode:</strong> {settings.privacy.passcode}
+                </p>
+              )}
               <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
-                Guests can scan the QR code or enter this code on the home page
+                {isPrivateRoom
+                  ? `🔒 This room is private. The QR code and link let guests straight in${settings.privacy.passcode ? '; with just the room code they\'ll need the passcode' : ''}.`
+                  : 'Guests can scan the QR code or enter this code on the home page'}
               </p>
+              {isPrivateRoom && isHost && (
+                <button className="btn btn-secondary btn-sm" onClick={handleResetInvite} style={{ marginTop: '0.75rem' }}>
+                  New invite link
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
 
+      {showSettingsModal && settings && (
+        <RoomSettingsModal
+          settings={settings}
+          onSave={handleSaveSettings}
+          onRotateToken={handleRotateToken}
+          onClose={() => setShowSettingsModal(false)}
+        />
+      )}
+
       {/* Fallback Playlist Modal */}
       {showFallbackModal && (
         <div className="modal-overlay" onClick={() => setShowFallbackModal(false)}>
@@ -786,7 +1369,7 @@ function AdminDashboard() {
                           key={song.id}
                           song={song}
                           onRemove={handleRemoveFromFallback}
-                          onPlay={handlePlayFromFallback}
+                          onPlay={can('playback') ? handlePlayFromFallback : null}
                           isFallback={true}
                         />
                       ))}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { FiInbox, FiCheck, FiChevronsUp, FiX } from 'react-icons/fi';
+import { formatRequesters } from '../utils/songs';
+
+// Host's inbox of guest requests waiting for approval.
+// `onReview(songIds, action)` is called with 'approve', 'approve-top' or 'reject'.
+function ApprovalInbox({ requests, onReview }) {
+  return (
+    <div className="approval-inbox">
+      <div className="queue-header">
+        <h2>
+          <FiInbox style={{ marginRight: '0.5rem' }} />
+          Awaiting Approval
+          <span className="queue-count">{requests.length}</span>
+        </h2>
+        {requests.length > 1 && (
+          <button className="btn btn-primary btn-sm" onClick={() => onReview(requests.map(song => song.id), 'approve')}>
+            <FiCheck size={14} /> Approve all
+          </button>
+        )}
+      </div>
+
+      <div className="queue-list">
+        {requests.length === 0 ? (
+          <div className="queue-empty-small">
+            <p>No requests waiting</p>
+          </div>
+        ) : (
+          requests.map((song) => (
+            <div key={song.id} className="song-item">
+              <img src={song.thumbnail} alt="" className="song-thumbnail" />
+              <div className="song-info">
+                <div className="song-title">{song.title}</div>
+                <div className="song-meta">
+                  <span>{formatRequesters(song)}</span>
+                  {song.duration && <span>• {song.duration}</span>}
+                </div>
+              </div>
+              <div className="song-actions">
+                <button className="btn btn-icon btn-primary btn-sm" onClick={() => onReview([song.id], 'approve')} title="Approve">
+                  <FiCheck size={14} />
+                </button>
+                <button className="btn btn-icon btn-secondary btn-sm" onClick={() => onReview([song.id], 'approve-top')} title="Approve and play next">
+                  <FiChevronsUp size={14} />
+                </button>
+                <button className="btn btn-icon btn-danger btn-sm" onClick={() => onReview([song.id], 'reject')} title="Reject">
+                  <FiX size={14} />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApprovalInbox;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FiMessageSquare, FiSend, FiTrash2, FiVolumeX } from 'react-icons/fi';
+import { formatClockTime } from '../utils/time';
+
+// Room chat shared by both dashboards. Pass `onDelete` and `onMute` to show
+// the host's moderation buttons on guest messages.
+function ChatPanel({ messages, onSend, onDelete, onMute, myGuestId, error, disabled }) {
+  const [text, setText] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSend(text);
+    setText('');
+  };
+
+  return (
+    <div className="guest-queue chat-panel">
+      <div className="guest-queue-header">
+        <h2>
+          <FiMessageSquare style={{ marginRight: '0.5rem' }} />
+          Chat
+        </h2>
+      </div>
+
+      <div className="chat-messages" ref={listRef}>
+        {messages.length === 0 ? (
+          <div className="queue-empty-small">
+            <p>No messages yet. Say hi!</p>
+          </div>
+        ) : (
+          messages.map((message) => (
+            message.type === 'system' ? (
+              <div key={message.id} className="chat-message system">
+                {message.text}
+              </div>
+            ) : (
+              <div
+                key={message.id}
+                className={`chat-message ${message.isHost || message.isCohost ? 'host' : ''} ${message.guestId && message.guestId === myGuestId ? 'mine' : ''}`}
+              >
+                <div className="chat-message-header">
+                  <span className="chat-author">
+                    {message.isHost && '🎧 '}
+                    {message.isCohost && '⭐ '}
+                    {message.name}
+                  </span>
+                  <span className="chat-time">{formatClockTime(message.sentAt)}</span>
+                  {onDelete && (
+                    <span className="chat-actions">
+                      {onMute && message.guestId && (
+                        <button className="chat-action" onClick={() => onMute(message)} title="Mute in chat">
+                          <FiVolumeX size={12} />
+                        </button>
+                      )}
+                      <button className="chat-action" onClick={() => onDelete(message)} title="Delete message">
+                        <FiTrash2 size={12} />
+                      </button>
+                    </span>
+                  )}
+                </div>
+                <div className="chat-text">{message.text}</div>
+              </div>
+            )
+          ))
+        )}
+      </div>
+
+      {error && <p className="chat-error">{error}</p>}
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="input"
+          placeholder={disabled ? 'You have been muted' : 'Say something...'}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={500}
+          disabled={disabled}
+        />
+        <button type="submit" className="btn btn-primary btn-icon" disabled={disabled || !text.trim()}>
+          <FiSend size={16} />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ChatPanel;
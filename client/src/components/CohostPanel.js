@@ -0,0 +1,70 @@
+import React from 'react';
+import { FiStar, FiUserMinus } from 'react-icons/fi';
+
+// What each co-host permission lets them do, in the server's order
+const PERMISSION_LABELS = {
+  queue: 'Queue',
+  fallback: 'Fallback',
+  playback: 'Playback',
+  moderation: 'Guests'
+};
+
+// Host's list of co-hosts. Toggling a permission calls
+// `onChange(cohost, permissions)` with the full new set.
+function CohostPanel({ cohosts, onChange, onRevoke }) {
+  const togglePermission = (cohost, permission) => {
+    const permissions = cohost.permissions.includes(permission)
+      ? cohost.permissions.filter(p => p !== permission)
+      : [...cohost.permissions, permission];
+    onChange(cohost, permissions);
+  };
+
+  return (
+    <div className="guest-queue cohost-panel">
+      <div className="guest-queue-header">
+        <h2>
+          <FiStar style={{ marginRight: '0.5rem' }} />
+          Co-hosts
+          <span className="queue-count">{cohosts.length}</span>
+        </h2>
+      </div>
+      <div className="guest-queue-list">
+        {cohosts.length === 0 ? (
+          <div className="queue-empty-small">
+            <p>Promote a guest with the ☆ button to let them help run the party</p>
+          </div>
+        ) : (
+          cohosts.map((cohost) => (
+            <div key={cohost.guestId} className="guest-song-item guest-row">
+              <div className="song-info">
+                <div className="song-title">{cohost.name || 'Unnamed guest'}</div>
+                <div className="cohost-permissions">
+                  {Object.entries(PERMISSION_LABELS).map(([permission, label]) => (
+                    <button
+                      key={permission}
+                      className={`permission-chip ${cohost.permissions.includes(permission) ? 'active' : ''}`}
+                      onClick={() => togglePermission(cohost, permission)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="song-actions">
+                <button
+                  className="btn btn-icon btn-danger btn-sm"
+                  onClick={() => onRevoke(cohost)}
+                  title="Remove co-host role"
+                >
+                  <FiUserMinus size={14} />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CohostPanel;
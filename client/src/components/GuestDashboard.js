@@ -1,35 +1,52 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { io } from 'socket.io-client';
-import { FiSearch, FiPlus, FiMusic, FiCheck, FiClock, FiGithub, FiUnlock } from 'react-icons/fi';
+import { FiSearch, FiPlus, FiMusic, FiCheck, FiClock, FiGithub, FiUnlock, FiSkipForward, FiChevronUp, FiChevronDown, FiEdit2, FiTrash2, FiRefreshCw, FiX } from 'react-icons/fi';
 import { searchYouTube } from '../utils/youtube';
+import { formatRequesters, parseDurationSeconds, getDurationRefusal, REACTIONS } from '../utils/songs';
+import { applyQueueDelta } from '../utils/queue';
+import RecentlyPlayed from './RecentlyPlayed';
+import ChatPanel from './ChatPanel';
+import PresenceIndicator from './PresenceIndicator';
 
 // Use current hostname for socket connection (works on mobile)
 const SOCKET_URL = process.env.NODE_ENV === 'production' 
   ? '' 
   : `http://${window.location.hostname}:5000`;
 
+// Number of played songs shown in "Recently played"
+const HISTORY_SIZE = 20;
+
+// Chat messages kept on screen
+const CHAT_HISTORY_SIZE = 200;
+
 // Average song duration in seconds (3.5 minutes)
 const AVG_SONG_DURATION = 210;
 
-// Parse duration string like "3:45" to seconds
+// Parse duration string like "3:45" to seconds, assuming an average song if unknown
 function parseDuration(durationStr) {
-  if (!durationStr) return AVG_SONG_DURATION;
-  const parts = durationStr.split(':').map(Number);
-  
-  // Check if any part is NaN
-  if (parts.some(part => isNaN(part))) {
-    return AVG_SONG_DURATION;
-  }
-  
-  if (parts.length === 2) {
-    return parts[0] * 60 + parts[1];
-  } else if (parts.length === 3) {
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  }
-  return AVG_SONG_DURATION;
+  return parseDurationSeconds(durationStr) || AVG_SONG_DURATION;
 }
 
+// The server issues each guest a token on their first join; presenting it
+// again gets the same identity (name, requests, votes) back
+const guestTokenKey = (roomId) => `guest_token_${roomId}`;
+
+// Private rooms: the key from the invite link (or swapped for the passcode)
+const accessKeyKey = (roomId) => `room_access_${roomId}`;
+
+// Rejected requests shown under "Your Requests"
+const REJECTED_SHOWN = 3;
+
+// What to show when a guest can't stay in the room, by reason
+const PARTY_OVER_MESSAGES = {
+  ended: { title: '🏁 The Party Is Over', message: 'The host has closed this room. Thanks for the tunes!' },
+  expired: { title: '🏁 The Party Is Over', message: 'This room was closed after being inactive for a while.' },
+  not_found: { title: '🏁 The Party Is Over', message: 'This room doesn\'t exist any more.' },
+  kicked: { title: '👋 You Were Removed', message: 'The host removed you from this room.' },
+  banned: { title: '🚫 You\'re Banned', message: 'The host has banned you from this party.' }
+};
+
 // Format seconds to human readable ETA
 function formatETA(seconds) {
   // Handle invalid input
@@ -48,8 +65,15 @@ function formatETA(seconds) {
 function GuestDashboard() {
   const { roomId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [accessKey, setAccessKey] = useState(() => searchParams.get('invite') || localStorage.getItem(accessKeyKey(roomId)));
+  const [accessRequired, setAccessRequired] = useState(null);
+  const [passcode, setPasscode] = useState('');
+  const [passcodeError, setPasscodeError] = useState('');
+  const [passcodeLoading, setPasscodeLoading] = useState(false);
   const [socket, setSocket] = useState(null);
   const [queue, setQueue] = useState([]);
+  const [history, setHistory] = useState([]);
   const [currentSong, setCurrentSong] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentSongStartedAt, setCurrentSongStartedAt] = useState(null);
@@ -57,11 +81,34 @@ function GuestDashboard() {
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
   const [searchError, setSearchError] = useState('');
+  const [guestId, setGuestId] = useState(null);
   const [guestName, setGuestName] = useState('');
+  const [nameDraft, setNameDraft] = useState('');
+  const [nameError, setNameError] = useState('');
   const [showNameModal, setShowNameModal] = useState(true);
+  const [showRenameModal, setShowRenameModal] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [partyOver, setPartyOver] = useState(null);
   const [addedSongs, setAddedSongs] = useState(new Set());
+  const [skipVotes, setSkipVotes] = useState({ votes: 0, needed: 0, enabled: false });
+  const [votedSongId, setVotedSongId] = useState(null);
+  const [queueMode, setQueueMode] = useState('fifo');
+  const [limits, setLimits] = useState(null);
+  const [durationLimits, setDurationLimits] = useState(null);
+  const [pendingRequests, setPendingRequests] = useState(new Set());
+  const [requestMessage, setRequestMessage] = useState(null);
+  const [swapTarget, setSwapTarget] = useState(null);
+  const [muted, setMuted] = useState(false);
+  const [requestStatus, setRequestStatus] = useState({ pending: [], rejected: [] });
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatError, setChatError] = useState('');
+  const [chatMuted, setChatMuted] = useState(false);
+  const [presence, setPresence] = useState(null);
+  // Lost the connection: the page shows stale data until the server's
+  // snapshot comes in on rejoin
+  const [reconnecting, setReconnecting] = useState(false);
+  const [isCohost, setIsCohost] = useState(false);
   
   // Admin authentication state
   const [showAdminModal, setShowAdminModal] = useState(false);
@@ -92,9 +139,10 @@ function GuestDashboard() {
       }
     }
     
-    // Add duration of all songs before this one in queue
+    // Add duration of all songs before this one in queue (the server keeps
+    // the queue in play order, whatever the room's queue mode)
     for (let i = 0; i < index; i++) {
-      if (queue[i] && queue[i].duration) {
+      if (queue[i]) {
         const duration = parseDuration(queue[i].duration);
         if (!isNaN(duration)) {
           totalSeconds += duration;
@@ -135,25 +183,86 @@ function GuestDashboard() {
     }
   };
 
+  // Keep the invite from the link, then tidy it out of the address bar
   useEffect(() => {
-    // Check for saved guest name
-    const savedName = localStorage.getItem(`guest_name_${roomId}`);
-    if (savedName) {
-      setGuestName(savedName);
-      setShowNameModal(false);
+    const invite = searchParams.get('invite');
+    if (invite) {
+      localStorage.setItem(accessKeyKey(roomId), invite);
+      setSearchParams({}, { replace: true });
     }
+  }, [searchParams, setSearchParams, roomId]);
+
+  // Private room: swap the passcode for the room's access key
+  const submitPasscode = async (e) => {
+    e.preventDefault();
+    setPasscodeLoading(true);
+    setPasscodeError('');
+
+    try {
+      const response = await fetch(`/api/rooms/${roomId}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passcode })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setPasscodeError(data.error || 'Could not check the passcode');
+        return;
+      }
+
+      localStorage.setItem(accessKeyKey(roomId), data.accessKey);
+      setAccessRequired(null);
+      setLoading(true);
+      setAccessKey(data.accessKey);
+    } catch (err) {
+      setPasscodeError('Network error. Please try again.');
+    } finally {
+      setPasscodeLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const accessHeaders = accessKey ? { 'x-room-access': accessKey } : {};
+
+    // The queue as of `queueVersion`, which deltas from the server build on
+    let currentQueue = [];
+    let queueVersion = 0;
+    let awaitingQueue = false;
+    const showQueue = (newQueue, version) => {
+      currentQueue = newQueue;
+      queueVersion = version || 0;
+      awaitingQueue = false;
+      setQueue(newQueue);
+    };
+    const showSettings = (settings) => {
+      setQueueMode(settings.queue.mode);
+      setLimits(settings.limits);
+      setDurationLimits(settings.durationLimits);
+    };
 
     // Fetch room data
-    fetch(`/api/rooms/${roomId}`)
-      .then(res => {
+    fetch(`/api/rooms/${roomId}`, { headers: accessHeaders })
+      .then(async res => {
+        if (res.status === 403) {
+          const data = await res.json().catch(() => ({}));
+          if (data.type === 'private_room') return data;
+        }
         if (!res.ok) throw new Error('Room not found');
         return res.json();
       })
       .then(data => {
-        setQueue(data.queue);
+        if (data.type === 'private_room') {
+          setAccessRequired({ hasPasscode: data.hasPasscode });
+          setLoading(false);
+          return;
+        }
+        showQueue(data.queue, data.queueVersion);
         setCurrentSong(data.currentSong);
         setIsPlaying(data.isPlaying);
         setCurrentSongStartedAt(data.currentSongStartedAt);
+        if (data.skipVotes) setSkipVotes(data.skipVotes);
+        if (data.settings) showSettings(data.settings);
         setLoading(false);
       })
       .catch(err => {
@@ -161,17 +270,90 @@ function GuestDashboard() {
         setLoading(false);
       });
 
+    fetch(`/api/rooms/${roomId}/history?limit=${HISTORY_SIZE}`, { headers: accessHeaders })
+      .then(res => res.ok ? res.json() : [])
+      .then(setHistory)
+      .catch(() => {});
+
     // Connect to socket
     const newSocket = io(SOCKET_URL);
     setSocket(newSocket);
 
-    newSocket.emit('join-room', roomId);
+    // (Re)join on every connect. The access key may have changed while we
+    // were away (the room went private), so take the latest one.
+    newSocket.on('connect', () => {
+      newSocket.emit('join-room', {
+        roomId,
+        guestToken: localStorage.getItem(guestTokenKey(roomId)),
+        accessKey: localStorage.getItem(accessKeyKey(roomId)) || accessKey
+      });
+    });
 
-    newSocket.on('queue-updated', (newQueue) => {
-      setQueue(newQueue);
+    // Dropped by the network rather than sent away by the server
+    newSocket.on('disconnect', (reason) => {
+      if (reason !== 'io server disconnect' && reason !== 'io client disconnect') {
+        setReconnecting(true);
+      }
+    });
+
+    newSocket.on('room-access-denied', (data) => {
+      setAccessRequired({ hasPasscode: Boolean(data?.hasPasscode) });
+      setReconnecting(false);
+      setLoading(false);
+    });
+
+    // The room went private (or got a new invite link) while we were in it.
+    // Kept for reconnecting; no need to reconnect now.
+    newSocket.on('room-access-granted', ({ accessKey: newKey }) => {
+      localStorage.setItem(accessKeyKey(roomId), newKey);
+    });
+
+    newSocket.on('guest-identity', ({ guestId, guestToken, name, muted, chatMuted }) => {
+      localStorage.setItem(guestTokenKey(roomId), guestToken);
+      setGuestId(guestId);
+      setMuted(Boolean(muted));
+      setChatMuted(Boolean(chatMuted));
+      setGuestName(name || '');
+      setShowNameModal(!name);
+      setShowRenameModal(false);
+      setNameError('');
+    });
+
+    newSocket.on('guest-name-error', (err) => {
+      setNameError(err.error || 'Could not change your name.');
+    });
+
+    // Everything about the room, sent on every (re)join
+    newSocket.on('room-state', (state) => {
+      showQueue(state.queue, state.queueVersion);
+      setCurrentSong(state.currentSong);
+      setCurrentSongStartedAt(state.currentSongStartedAt);
+      setIsPlaying(state.isPlaying);
+      setSkipVotes(state.skipVotes);
+      showSettings(state.settings);
+      setHistory(state.history);
+      setPresence(state.presence);
+      setReconnecting(false);
+    });
+
+    newSocket.on('queue-updated', ({ queue: newQueue, version }) => {
+      showQueue(newQueue, version);
+    });
+
+    // Missed a delta (e.g. on a flaky connection): ask for the whole queue
+    newSocket.on('queue-delta', (delta) => {
+      if (awaitingQueue || delta.version <= queueVersion) return;
+      const newQueue = delta.version === queueVersion + 1 ? applyQueueDelta(currentQueue, delta) : null;
+      if (newQueue) {
+        showQueue(newQueue, delta.version);
+      } else {
+        awaitingQueue = true;
+        newSocket.emit('request-queue-sync', { roomId });
+      }
     });
 
     newSocket.on('now-playing', (data) => {
+      setSkipVotes(prev => ({ ...prev, votes: 0 }));
       if (data && data.song !== undefined) {
         setCurrentSong(data.song);
         setCurrentSongStartedAt(data.startedAt || Date.now());
@@ -186,17 +368,180 @@ function GuestDashboard() {
       setIsPlaying(playing);
     });
 
+    newSocket.on('history-added', (entry) => {
+      setHistory(prev => [entry, ...prev].slice(0, HISTORY_SIZE));
+    });
+
+    newSocket.on('playback-sync', (sync) => {
+      setCurrentSongStartedAt(sync.startedAt);
+      setIsPlaying(sync.isPlaying);
+    });
+
+    newSocket.on('settings-updated', showSettings);
+
+    // The server confirms or rejects each request
+    newSocket.on('song-added', ({ videoId, merged, position, pendingApproval }) => {
+      if (merged) {
+        setRequestMessage({ text: `Already in the queue at #${position}, so you've been added as a requester 🙌`, isError: false });
+      } else if (pendingApproval) {
+        setRequestMessage({ text: 'Sent to the host for approval ⏳', isError: false });
+      }
+      setPendingRequests(prev => {
+        const next = new Set(prev);
+        next.delete(videoId);
+        return next;
+      });
+      setAddedSongs(prev => new Set([...prev, videoId]));
+
+      // Reset after 3 seconds so they can add it again if needed
+      setTimeout(() => {
+        setAddedSongs(prev => {
+          const next = new Set(prev);
+          next.delete(videoId);
+          return next;
+        });
+      }, 3000);
+    });
+
+    newSocket.on('add-song-error', (rejection) => {
+      setPendingRequests(prev => {
+        const next = new Set(prev);
+        next.delete(rejection.videoId);
+        return next;
+      });
+      setRequestMessage({ text: rejection.error || 'Could not add that song.', isError: true });
+    });
+
+    // Withdrawing or swapping one of our own requests failed
+    newSocket.on('request-error', (rejection) => {
+      if (rejection.videoId) {
+        setPendingRequests(prev => {
+          const next = new Set(prev);
+          next.delete(rejection.videoId);
+          return next;
+        });
+      }
+      setRequestMessage({ text: rejection.error || 'Could not change that request.', isError: true });
+    });
+
+    newSocket.on('presence-updated', (update) => {
+      setPresence(update);
+    });
+
+    newSocket.on('reaction', ({ songId, reactions }) => {
+      setCurrentSong(prev => (prev && prev.id === songId ? { ...prev, reactions } : prev));
+    });
+
+    newSocket.on('chat-history', (messages) => {
+      setChatMessages(messages);
+    });
+
+    newSocket.on('chat-message', (message) => {
+      setChatMessages(prev => [...prev, message].slice(-CHAT_HISTORY_SIZE));
+    });
+
+    newSocket.on('chat-deleted', ({ messageId }) => {
+      setChatMessages(prev => prev.filter(message => message.id !== messageId));
+    });
+
+    newSocket.on('chat-error', (err) => {
+      setChatError(err.error || 'Could not send your message.');
+    });
+
+    // Approval mode: our requests waiting for the host, and the verdicts
+    newSocket.on('my-requests-updated', (status) => {
+      setRequestStatus(status);
+    });
+
+    newSocket.on('request-reviewed', ({ title, status, reason }) => {
+      if (status === 'approved') {
+        setRequestMessage({ text: `"${title}" was approved and is in the queue 🎉`, isError: false });
+      } else {
+        setRequestMessage({ text: `"${title}" wasn't approved${reason ? `: ${reason}` : '.'}`, isError: true });
+      }
+    });
+
+    newSocket.on('song-swapped', ({ videoId }) => {
+      setPendingRequests(prev => {
+        const next = new Set(prev);
+        next.delete(videoId);
+        return next;
+      });
+      setSwapTarget(null);
+      setRequestMessage({ text: 'Swapped! Your new song kept its place in the queue.', isError: false });
+    });
+
+    newSocket.on('skip-votes-updated', (tally) => {
+      setSkipVotes(tally);
+    });
+
+    newSocket.on('room-closed', (data) => {
+      setPartyOver(data?.reason || 'ended');
+    });
+
+    // The host made us a co-host: keep the token for the admin dashboard
+    newSocket.on('cohost-granted', ({ adminToken }) => {
+      localStorage.setItem(`admin_${roomId}`, adminToken);
+      setIsCohost(true);
+    });
+
+    newSocket.on('cohost-revoked', () => {
+      localStorage.removeItem(`admin_${roomId}`);
+      setIsCohost(false);
+    });
+
+    // Kicked or banned by the host
+    newSocket.on('removed-from-room', (data) => {
+      setPartyOver(data?.reason || 'kicked');
+    });
+
     return () => {
       newSocket.disconnect();
     };
-  }, [roomId]);
+  }, [roomId, accessKey]);
 
+  // Drop the swap if that song started playing or was removed meanwhile
+  useEffect(() => {
+    if (swapTarget && !queue.some(song => song.id === swapTarget.id)) {
+      setSwapTarget(null);
+    }
+  }, [queue, swapTarget]);
+
+  // Names are set on the server; the modals close once it confirms
   const handleNameSubmit = (e) => {
     e.preventDefault();
-    const name = guestName.trim() || 'Guest';
-    setGuestName(name);
-    localStorage.setItem(`guest_name_${roomId}`, name);
-    setShowNameModal(false);
+    if (!socket) return;
+    socket.emit('set-guest-name', { roomId, name: nameDraft.trim() || 'Guest' });
+  };
+
+  const openRenameModal = () => {
+    setNameDraft(guestName);
+    setNameError('');
+    setShowRenameModal(true);
+  };
+
+  const handleReact = (emoji) => {
+    if (!socket || !currentSong) return;
+    socket.emit('react', { roomId, songId: currentSong.id, emoji });
+  };
+
+  const handleSendChat = (text) => {
+    if (!socket) return;
+    setChatError('');
+    socket.emit('send-chat', { roomId, text });
+  };
+
+  const handleVoteSkip = () => {
+    if (!socket || !currentSong || votedSongId === currentSong.id) return;
+    socket.emit('vote-skip', { roomId, songId: currentSong.id });
+    setVotedSongId(currentSong.id);
+  };
+
+  // Democratic mode: clicking the same arrow again takes the vote back
+  const handleVoteSong = (song, vote) => {
+    if (!socket) return;
+    const currentVote = song.votes?.[guestId] || 0;
+    socket.emit('vote-song', { roomId, songId: song.id, vote: currentVote === vote ? 0 : vote });
   };
 
   const handleSearch = async (e) => {
@@ -208,7 +553,7 @@ function GuestDashboard() {
     setSearchResults([]);
 
     try {
-      const results = await searchYouTube(searchQuery);
+      const results = await searchYouTube(searchQuery, roomId);
       setSearchResults(results);
     } catch (err) {
       setSearchError(err.message || 'Search failed. Please try again.');
@@ -217,33 +562,50 @@ function GuestDashboard() {
     }
   };
 
+  // Adds the song, or swaps it in for `swapTarget` when one is picked
   const handleAddSong = (video) => {
-    if (addedSongs.has(video.videoId)) return;
-    
-    socket.emit('add-song', {
-      roomId,
-      song: {
-        videoId: video.videoId,
-        title: video.title,
-        thumbnail: video.thumbnail,
-        channel: video.channel,
-        duration: video.duration,
-        addedBy: guestName
-      }
-    });
+    if (addedSongs.has(video.videoId) || pendingRequests.has(video.videoId)) return;
     
-    setAddedSongs(prev => new Set([...prev, video.videoId]));
-    
-    // Reset after 3 seconds so they can add it again if needed
-    setTimeout(() => {
-      setAddedSongs(prev => {
-        const next = new Set(prev);
-        next.delete(video.videoId);
-        return next;
-      });
-    }, 3000);
+    setRequestMessage(null);
+    setPendingRequests(prev => new Set([...prev, video.videoId]));
+    const song = {
+      videoId: video.videoId,
+      title: video.title,
+      thumbnail: video.thumbnail,
+      channel: video.channel,
+      duration: video.duration,
+      isLive: video.isLive
+    };
+    if (swapTarget) {
+      socket.emit('swap-song', { roomId, songId: swapTarget.id, song });
+    } else {
+      socket.emit('add-song', { roomId, song });
+    }
+  };
+
+  const handleWithdraw = (song) => {
+    if (!socket) return;
+    if (swapTarget?.id === song.id) setSwapTarget(null);
+    socket.emit('withdraw-song', { roomId, songId: song.id });
   };
 
+  // Requests waiting for approval count towards the quota too
+  const myPendingCount = queue.filter(song => song.guestId === guestId).length + requestStatus.pending.length;
+
+  // Songs this guest requested or was credited on
+  const isMine = (song) => song.guestId === guestId ||
+    (song.alsoRequestedBy || []).some(requester => requester.guestId === guestId);
+  const myRequests = queue
+    .map((song, index) => ({ song, index }))
+    .filter(({ song }) => isMine(song));
+
+  const recentRejections = requestStatus.rejected.slice(-REJECTED_SHOWN).reverse();
+  const myRequestCount = requestStatus.pending.length + myRequests.length;
+
+  // Only a guest's own, unshared requests can be swapped for another song,
+  // and not while votes order the queue (the new song would lose its place)
+  const canSwap = (song) => queueMode !== 'democratic' && song.guestId === guestId && !song.alsoRequestedBy?.length;
+
   if (loading) {
     return (
       <div className="loading">
@@ -252,6 +614,56 @@ function GuestDashboard() {
     );
   }
 
+  if (partyOver) {
+    const { title, message } = PARTY_OVER_MESSAGES[partyOver] || PARTY_OVER_MESSAGES.ended;
+    return (
+      <div className="error-page">
+        <h1>{title}</h1>
+        <p>{message}</p>
+        {partyOver === 'kicked' && (
+          <button className="btn btn-secondary" onClick={() => window.location.reload()} style={{ marginBottom: '0.75rem' }}>
+            Rejoin
+          </button>
+        )}
+        <button className="btn btn-primary" onClick={() => navigate('/')}>
+          Go Home
+        </button>
+      </div>
+    );
+  }
+
+  if (accessRequired) {
+    return (
+      <div className="error-page">
+        <h1>🔒 Private Party</h1>
+        {accessRequired.hasPasscode ? (
+          <>
+            <p>Enter the passcode from the host to join.</p>
+            <form className="passcode-form" onSubmit={submitPasscode}>
+              <input
+                type="text"
+                className="input"
+                placeholder="Passcode"
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value)}
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary" disabled={passcodeLoading || !passcode.trim()}>
+                {passcodeLoading ? '...' : 'Join'}
+              </button>
+            </form>
+            {passcodeError && <p className="passcode-error">{passcodeError}</p>}
+          </>
+        ) : (
+          <p>This room is invite only. Ask the host for the invite link or QR code.</p>
+        )}
+        <button className="btn btn-secondary" onClick={() => navigate('/')} style={{ marginTop: '1rem' }}>
+          Go Home
+        </button>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="error-page">
@@ -264,6 +676,15 @@ function GuestDashboard() {
     );
   }
 
+  // Waiting for the server to tell us who we are
+  if (!guestId) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
   if (showNameModal) {
     return (
       <div className="modal-overlay">
@@ -280,11 +701,15 @@ function GuestDashboard() {
                 type="text"
                 className="input"
                 placeholder="Your name"
-                value={guestName}
-                onChange={(e) => setGuestName(e.target.value)}
+                value={nameDraft}
+                onChange={(e) => setNameDraft(e.target.value)}
+                maxLength={30}
                 autoFocus
               />
             </div>
+            {nameError && (
+              <p style={{ color: '#ef4444', fontSize: '0.875rem', margin: '0.5rem 0' }}>{nameError}</p>
+            )}
             <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
               Join Party 🎉
             </button>
@@ -301,7 +726,15 @@ function GuestDashboard() {
           🎵 <span>GuestDJ</span>
         </Link>
         <div className="room-info">
-          <span className="room-id">{guestName}</span>
+          <PresenceIndicator presence={presence} myGuestId={guestId} />
+          <button className="room-id guest-name-btn" onClick={openRenameModal} title="Change your name">
+            {guestName} <FiEdit2 size={12} />
+          </button>
+          {isCohost && (
+            <button className="btn btn-secondary btn-sm" onClick={() => navigate(`/admin/${roomId}`)} title="Open your co-host controls">
+              ⭐ Co-host
+            </button>
+          )}
           <button 
             className="btn btn-link" 
             onClick={() => setShowAdminModal(true)}
@@ -320,7 +753,13 @@ function GuestDashboard() {
         </div>
       </header>
 
-      <div className="dashboard-content">
+      {reconnecting && (
+        <div className="reconnecting-banner">
+          <div className="spinner" /> Reconnecting…
+        </div>
+      )}
+
+      <div className={`dashboard-content ${reconnecting ? 'reconnecting' : ''}`}>
         <div className="guest-dashboard">
           {/* Search Section */}
           <div className="search-section">
@@ -338,6 +777,35 @@ function GuestDashboard() {
               </button>
             </form>
 
+            {limits?.maxPendingPerGuest > 0 && (
+              <p className={`request-quota ${myPendingCount >= limits.maxPendingPerGuest ? 'full' : ''}`}>
+                You have {myPendingCount}/{limits.maxPendingPerGuest} songs pending
+              </p>
+            )}
+
+            {muted && (
+              <div className="search-empty" style={{ color: 'var(--warning)' }}>
+                The host has paused your requests. You can still follow along!
+              </div>
+            )}
+
+            {swapTarget && (
+              <div className="swap-banner">
+                <span>
+                  <FiRefreshCw size={14} /> Pick a song to replace <strong>{swapTarget.title}</strong>
+                </span>
+                <button className="btn btn-icon btn-secondary btn-sm" onClick={() => setSwapTarget(null)} title="Cancel swap">
+                  <FiX size={14} />
+                </button>
+              </div>
+            )}
+
+            {requestMessage && (
+              <div className="search-empty" style={{ color: requestMessage.isError ? '#ef4444' : 'var(--accent-primary)' }}>
+                {requestMessage.text}
+              </div>
+            )}
+
             {searchError && (
               <div className="search-empty" style={{ color: '#ef4444' }}>
                 {searchError}
@@ -352,28 +820,114 @@ function GuestDashboard() {
 
             {searchResults.length > 0 && (
               <div className="search-results">
-                {searchResults.map((video) => (
-                  <div key={video.videoId} className="search-result-item">
-                    <img src={video.thumbnail} alt="" className="song-thumbnail" />
+                {searchResults.map((video) => {
+                  const refusal = getDurationRefusal(video, durationLimits);
+                  return (
+                    <div key={video.videoId} className={`search-result-item ${refusal ? 'refused' : ''}`} title={refusal || undefined}>
+                      <img src={video.thumbnail} alt="" className="song-thumbnail" />
+                      <div className="song-info">
+                        <div className="song-title">{video.title}</div>
+                        <div className="song-meta">
+                          <span>{video.channel}</span>
+                          {video.duration && <span>• {video.isLive ? 'LIVE' : video.duration}</span>}
+                          {refusal && <span className="refusal-reason">• {refusal}</span>}
+                        </div>
+                      </div>
+                      <button 
+                        className={`btn btn-icon ${addedSongs.has(video.videoId) ? 'btn-secondary' : 'btn-primary'}`}
+                        onClick={() => handleAddSong(video)}
+                        disabled={muted || Boolean(refusal) || addedSongs.has(video.videoId) || pendingRequests.has(video.videoId)}
+                        title={swapTarget ? 'Swap in this song' : 'Add to queue'}
+                      >
+                        {addedSongs.has(video.videoId)
+                          ? <FiCheck size={18} />
+                          : pendingRequests.has(video.videoId) ? '...' : (swapTarget ? <FiRefreshCw size={18} /> : <FiPlus size={18} />)}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Your requests */}
+          {(myRequestCount > 0 || recentRejections.length > 0) && (
+            <div className="guest-queue my-requests">
+              <div className="guest-queue-header">
+                <h2>
+                  <FiCheck style={{ marginRight: '0.5rem' }} />
+                  Your Requests
+                  <span className="queue-count">{myRequestCount}</span>
+                </h2>
+              </div>
+              <div className="guest-queue-list">
+                {requestStatus.pending.map((song) => (
+                  <div key={song.id} className="guest-song-item">
+                    <img src={song.thumbnail} alt="" className="song-thumbnail" />
                     <div className="song-info">
-                      <div className="song-title">{video.title}</div>
+                      <div className="song-title">{song.title}</div>
                       <div className="song-meta">
-                        <span>{video.channel}</span>
-                        {video.duration && <span>• {video.duration}</span>}
+                        <span className="status-badge pending">Waiting for approval</span>
+                      </div>
+                    </div>
+                    <div className="song-actions">
+                      <button
+                        className="btn btn-icon btn-sm btn-danger"
+                        onClick={() => handleWithdraw(song)}
+                        title="Withdraw this request"
+                      >
+                        <FiTrash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {myRequests.map(({ song, index }) => (
+                  <div key={song.id} className="guest-song-item">
+                    <span className="queue-position">{index + 1}</span>
+                    <img src={song.thumbnail} alt="" className="song-thumbnail" />
+                    <div className="song-info">
+                      <div className="song-title">{song.title}</div>
+                      <div className="song-meta">
+                        <span className="eta-badge">
+                          <FiClock /> Coming in {calculateETA(index)}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="song-actions">
+                      {canSwap(song) && (
+                        <button
+                          className={`btn btn-icon btn-sm ${swapTarget?.id === song.id ? 'btn-primary' : 'btn-secondary'}`}
+                          onClick={() => setSwapTarget(swapTarget?.id === song.id ? null : song)}
+                          title="Swap for a different song"
+                        >
+                          <FiRefreshCw size={14} />
+                        </button>
+                      )}
+                      <button
+                        className="btn btn-icon btn-sm btn-danger"
+                        onClick={() => handleWithdraw(song)}
+                        title={song.guestId === guestId ? 'Withdraw this request' : 'Remove yourself from this request'}
+                      >
+                        <FiTrash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {recentRejections.map((song) => (
+                  <div key={song.id} className="guest-song-item rejected">
+                    <img src={song.thumbnail} alt="" className="song-thumbnail" />
+                    <div className="song-info">
+                      <div className="song-title">{song.title}</div>
+                      <div className="song-meta">
+                        <span className="status-badge rejected">Not approved</span>
+                        {song.reason && <span>{song.reason}</span>}
                       </div>
                     </div>
-                    <button 
-                      className={`btn btn-icon ${addedSongs.has(video.videoId) ? 'btn-secondary' : 'btn-primary'}`}
-                      onClick={() => handleAddSong(video)}
-                      disabled={addedSongs.has(video.videoId)}
-                    >
-                      {addedSongs.has(video.videoId) ? <FiCheck size={18} /> : <FiPlus size={18} />}
-                    </button>
                   </div>
                 ))}
               </div>
-            )}
-          </div>
+            </div>
+          )}
 
           {/* Now Playing */}
           <div className="current-playing">
@@ -388,15 +942,43 @@ function GuestDashboard() {
               Now Playing
             </h2>
             {currentSong ? (
-              <div className="current-song-display">
-                <img src={currentSong.thumbnail} alt="" className="current-song-thumbnail" />
-                <div className="song-info">
-                  <div className="song-title">{currentSong.title}</div>
-                  <div className="song-meta">
-                    <span>Requested by {currentSong.addedBy}</span>
+              <>
+                <div className="current-song-display">
+                  <img src={currentSong.thumbnail} alt="" className="current-song-thumbnail" />
+                  <div className="song-info">
+                    <div className="song-title">{currentSong.title}</div>
+                    <div className="song-meta">
+                      <span>Requested by {formatRequesters(currentSong)}</span>
+                    </div>
                   </div>
+                  {skipVotes.enabled && (
+                    <button
+                      className={`btn btn-sm ${votedSongId === currentSong.id ? 'btn-primary' : 'btn-secondary'}`}
+                      onClick={handleVoteSkip}
+                      disabled={votedSongId === currentSong.id}
+                      title="Vote to skip this song"
+                    >
+                      <FiSkipForward size={14} /> {skipVotes.votes}/{skipVotes.needed}
+                    </button>
+                  )}
                 </div>
-              </div>
+                <div className="reaction-bar">
+                  {REACTIONS.map(emoji => {
+                    const reactors = currentSong.reactions?.[emoji] || [];
+                    const reacted = reactors.includes(guestId);
+                    return (
+                      <button
+                        key={emoji}
+                        className={`reaction-btn ${reacted ? 'active' : ''}`}
+                        onClick={() => handleReact(emoji)}
+                        disabled={reacted}
+                      >
+                        {emoji} {reactors.length > 0 && <span>{reactors.length}</span>}
+                      </button>
+                    );
+                  })}
+                </div>
+              </>
             ) : (
               <div className="no-song">
                 <FiMusic size={24} style={{ marginBottom: '0.5rem' }} />
@@ -422,13 +1004,32 @@ function GuestDashboard() {
                 </div>
               ) : (
                 queue.map((song, index) => (
-                  <div key={song.id} className="guest-song-item">
+                  <div key={song.id} className={`guest-song-item ${isMine(song) ? 'mine' : ''}`}>
                     <span className="queue-position">{index + 1}</span>
+                    {queueMode === 'democratic' && (
+                      <div className="song-votes">
+                        <button
+                          className={`vote-btn ${song.votes?.[guestId] === 1 ? 'active' : ''}`}
+                          onClick={() => handleVoteSong(song, 1)}
+                          title="Upvote"
+                        >
+                          <FiChevronUp size={16} />
+                        </button>
+                        <span className="song-score">{song.score || 0}</span>
+                        <button
+                          className={`vote-btn down ${song.votes?.[guestId] === -1 ? 'active' : ''}`}
+                          onClick={() => handleVoteSong(song, -1)}
+                          title="Downvote"
+                        >
+                          <FiChevronDown size={16} />
+                        </button>
+                      </div>
+                    )}
                     <img src={song.thumbnail} alt="" className="song-thumbnail" />
                     <div className="song-info">
                       <div className="song-title">{song.title}</div>
                       <div className="song-meta">
-                        <span>Added by {song.addedBy}</span>
+                        <span>Added by {formatRequesters(song)}</span>
                         <span className="eta-badge">
                           <FiClock /> Coming in {calculateETA(index)}
                         </span>
@@ -439,9 +1040,60 @@ function GuestDashboard() {
               )}
             </div>
           </div>
+
+          {/* Chat */}
+          <ChatPanel
+            messages={chatMessages}
+            onSend={handleSendChat}
+            myGuestId={guestId}
+            error={chatError}
+            disabled={chatMuted}
+          />
+
+          {/* Recently Played */}
+          <RecentlyPlayed history={history} />
         </div>
       </div>
       
+      {/* Rename Modal */}
+      {showRenameModal && (
+        <div className="modal-overlay" onClick={() => setShowRenameModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>✏️ Change Your Name</h2>
+            <p>Your queued songs will show the new name</p>
+
+            <form onSubmit={handleNameSubmit}>
+              <div className="input-group">
+                <input
+                  type="text"
+                  className="input"
+                  placeholder="Your name"
+                  value={nameDraft}
+                  onChange={(e) => setNameDraft(e.target.value)}
+                  maxLength={30}
+                  autoFocus
+                />
+              </div>
+
+              {nameError && (
+                <p style={{ color: '#ef4444', fontSize: '0.875rem', margin: '0.5rem 0' }}>
+                  {nameError}
+                </p>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowRenameModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={!nameDraft.trim()}>
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Admin Authentication Modal */}
       {showAdminModal && (
         <div className="modal-overlay" onClick={() => setShowAdminModal(false)}>
@@ -0,0 +1,102 @@
+import React from 'react';
+import { FiUsers, FiMic, FiMicOff, FiUserX, FiSlash, FiUserCheck, FiMessageSquare, FiVolumeX, FiStar } from 'react-icons/fi';
+
+// Host's list of guests with moderation controls. `onModerate(guest, action)`
+// is called with one of the server's moderation actions. Pass `onPromote`
+// (host only) to show the button that makes a guest a co-host.
+function GuestList({ guests, queue, onModerate, onPromote }) {
+  const requestCount = (guest) => queue.filter(song => song.guestId === guest.id).length;
+  const onlineCount = guests.filter(guest => guest.online).length;
+
+  return (
+    <div className="guest-queue guest-list-section">
+      <div className="guest-queue-header">
+        <h2>
+          <FiUsers style={{ marginRight: '0.5rem' }} />
+          Guests
+          <span className="queue-count">{onlineCount}</span>
+        </h2>
+      </div>
+      <div className="guest-queue-list">
+        {guests.length === 0 ? (
+          <div className="queue-empty-small">
+            <p>No guests yet</p>
+          </div>
+        ) : (
+          guests.map((guest) => (
+            <div key={guest.id} className={`guest-song-item guest-row ${guest.online ? '' : 'offline'}`}>
+              <span className={`presence-dot ${guest.online ? 'online' : ''}`} title={guest.online ? 'Online' : 'Offline'} />
+              <div className="song-info">
+                <div className="song-title">{guest.name || 'Unnamed guest'}</div>
+                <div className="song-meta">
+                  <span>{requestCount(guest)} queued</span>
+                  {guest.cohost && <span className="cohost-badge">Co-host</span>}
+                  {guest.muted && <span className="history-badge">Requests muted</span>}
+                  {guest.chatMuted && <span className="history-badge">Chat muted</span>}
+                  {guest.banned && <span className="history-badge">Banned</span>}
+                </div>
+              </div>
+              <div className="song-actions">
+                {onPromote && !guest.cohost && !guest.banned && (
+                  <button
+                    className="btn btn-icon btn-secondary btn-sm"
+                    onClick={() => onPromote(guest)}
+                    title="Make co-host"
+                  >
+                    <FiStar size={14} />
+                  </button>
+                )}
+                {!guest.banned && (
+                  <button
+                    className="btn btn-icon btn-secondary btn-sm"
+                    onClick={() => onModerate(guest, guest.muted ? 'unmute' : 'mute')}
+                    title={guest.muted ? 'Let them request again' : 'Mute (can watch, can\'t request)'}
+                  >
+                    {guest.muted ? <FiMic size={14} /> : <FiMicOff size={14} />}
+                  </button>
+                )}
+                {!guest.banned && (
+                  <button
+                    className="btn btn-icon btn-secondary btn-sm"
+                    onClick={() => onModerate(guest, guest.chatMuted ? 'unmute-chat' : 'mute-chat')}
+                    title={guest.chatMuted ? 'Let them chat again' : 'Mute in chat'}
+                  >
+                    {guest.chatMuted ? <FiMessageSquare size={14} /> : <FiVolumeX size={14} />}
+                  </button>
+                )}
+                {guest.online && (
+                  <button
+                    className="btn btn-icon btn-secondary btn-sm"
+                    onClick={() => onModerate(guest, 'kick')}
+                    title="Kick (they can rejoin)"
+                  >
+                    <FiUserX size={14} />
+                  </button>
+                )}
+                {guest.banned ? (
+                  <button
+                    className="btn btn-icon btn-secondary btn-sm"
+                    onClick={() => onModerate(guest, 'unban')}
+                    title="Unban"
+                  >
+                    <FiUserCheck size={14} />
+                  </button>
+                ) : (
+                  <button
+                    className="btn btn-icon btn-danger btn-sm"
+                    onClick={() => onModerate(guest, 'ban')}
+                    title="Ban for the rest of the party"
+                  >
+                    <FiSlash size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GuestList;
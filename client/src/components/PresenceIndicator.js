@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { FiUsers } from 'react-icons/fi';
+
+// Header badge with the number of guests in the room. Click it to see who
+// is there. `presence` is the server's `presence-updated` payload.
+function PresenceIndicator({ presence, myGuestId }) {
+  const [open, setOpen] = useState(false);
+  const members = presence?.members || [];
+  const guestCount = presence?.guestCount || 0;
+
+  // Host first, then guests in the order they arrived
+  const sorted = [...members].sort((a, b) =>
+    (a.role === 'host' ? -1 : 0) - (b.role === 'host' ? -1 : 0) ||
+    new Date(a.joinedAt) - new Date(b.joinedAt)
+  );
+
+  return (
+    <div className="presence-indicator">
+      <button
+        className="btn btn-secondary btn-sm"
+        onClick={() => setOpen(prev => !prev)}
+        title={`${guestCount} guest${guestCount === 1 ? '' : 's'} in the room`}
+      >
+        <FiUsers size={14} /> {guestCount}
+      </button>
+      {open && (
+        <div className="presence-popover" onMouseLeave={() => setOpen(false)}>
+          <p className="presence-title">In the room</p>
+          {sorted.length === 0 ? (
+            <p className="presence-empty">Nobody yet</p>
+          ) : (
+            sorted.map(member => (
+              <div key={member.role === 'host' ? 'host' : member.guestId} className="presence-member">
+                <span className="presence-dot online" />
+                <span>
+                  {member.role === 'host' && `🎧 ${member.name || 'Host'}`}
+                  {member.role === 'cohost' && '⭐ '}
+                  {member.role !== 'host' && (member.name || 'Unnamed guest')}
+                  {member.guestId && member.guestId === myGuestId && ' (you)'}
+                </span>
+                {member.connections > 1 && (
+                  <span className="presence-tabs">{member.connections} tabs</span>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresenceIndicator;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { FiClock, FiDownload } from 'react-icons/fi';
+import { formatRequesters } from '../utils/songs';
+import { formatClockTime } from '../utils/time';
+
+// "Recently played" list shared by both dashboards. Pass `onExport` to show
+// the host's JSON/CSV download buttons.
+function RecentlyPlayed({ history, onExport }) {
+  return (
+    <div className="guest-queue history-section">
+      <div className="guest-queue-header history-header">
+        <h2>
+          <FiClock style={{ marginRight: '0.5rem' }} />
+          Recently Played
+          <span className="queue-count">{history.length}</span>
+        </h2>
+        {onExport && history.length > 0 && (
+          <div className="history-export">
+            <button className="btn btn-secondary btn-sm" onClick={() => onExport('json')} title="Download as JSON">
+              <FiDownload size={14} /> JSON
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={() => onExport('csv')} title="Download as CSV">
+              <FiDownload size={14} /> CSV
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="guest-queue-list">
+        {history.length === 0 ? (
+          <div className="queue-empty-small">
+            <p>Nothing played yet</p>
+          </div>
+        ) : (
+          history.map((entry) => (
+            <div key={`${entry.id}-${entry.startedAt}`} className="guest-song-item history-item">
+              <img src={entry.thumbnail} alt="" className="song-thumbnail" />
+              <div className="song-info">
+                <div className="song-title">{entry.title}</div>
+                <div className="song-meta">
+                  <span>{formatClockTime(entry.startedAt)}</span>
+                  <span>• {entry.fromFallback ? 'Fallback' : `Requested by ${formatRequesters(entry)}`}</span>
+                  {entry.skipped && <span className="history-badge">Skipped</span>}
+                  {Object.entries(entry.reactions || {}).map(([emoji, count]) => (
+                    <span key={emoji} className="history-reaction">{emoji} {count}</span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecentlyPlayed;
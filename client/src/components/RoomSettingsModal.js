@@ -0,0 +1,334 @@
+import React, { useState } from 'react';
+import { FiX } from 'react-icons/fi';
+
+// Host settings panel. Edits a local draft and hands the whole thing to
+// `onSave`; the server validates and broadcasts the result.
+function RoomSettingsModal({ settings, onSave, onRotateToken, onClose }) {
+  const [draft, setDraft] = useState(settings);
+
+  const update = (section, key, value) => {
+    setDraft(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+  };
+
+  // Blocklists are edited as one entry per line
+  const updateList = (key, text) => {
+    update('contentFilter', key, text.split('\n'));
+  };
+
+  // Takes effect straight away rather than on Save
+  const handleRotateToken = () => {
+    if (!window.confirm('Sign out every other host session? Other devices will need the room password to get back in.')) return;
+    onRotateToken();
+    onClose();
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave(draft);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-large" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem' }}>
+          <div>
+            <h2>⚙️ Room Settings</h2>
+            <p>Changes apply to everyone in the room</p>
+          </div>
+          <button className="btn btn-icon btn-secondary" onClick={onClose}>
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSave}>
+          {/* Queue order */}
+          <div className="settings-section">
+            <h3>🗳️ Queue Order</h3>
+            <select
+              className="input"
+              value={draft.queue.mode}
+              onChange={(e) => update('queue', 'mode', e.target.value)}
+            >
+              <option value="fifo">First come, first served</option>
+              <option value="democratic">Democratic (guests up/downvote songs)</option>
+              <option value="fair">Fair rotation (guests take turns)</option>
+            </select>
+            {draft.queue.mode === 'democratic' && (
+              <p className="settings-hint">
+                Pinned songs and songs you drag into place keep their spot regardless of votes.
+              </p>
+            )}
+            {draft.queue.mode === 'fair' && (
+              <p className="settings-hint">
+                Requests are interleaved so each guest's next song comes after everyone else's current turn.
+              </p>
+            )}
+          </div>
+
+          {/* Approval */}
+          <div className="settings-section">
+            <h3>✅ Request Approval</h3>
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={draft.approval.required}
+                onChange={(e) => update('approval', 'required', e.target.checked)}
+              />
+              Hold guest requests until you approve them
+            </label>
+          </div>
+
+          {/* Privacy */}
+          <div className="settings-section">
+            <h3>🔒 Private Room</h3>
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={draft.privacy.private}
+                onChange={(e) => update('privacy', 'private', e.target.checked)}
+              />
+              Only let in guests with the invite link or passcode
+            </label>
+            {draft.privacy.private && (
+              <div className="settings-grid settings-grid-single" style={{ marginTop: '0.75rem' }}>
+                <label>
+                  Guest passcode (leave empty for invite link only)
+                  <input
+                    type="text"
+                    className="input"
+                    value={draft.privacy.passcode}
+                    maxLength={50}
+                    onChange={(e) => update('privacy', 'passcode', e.target.value)}
+                  />
+                </label>
+              </div>
+            )}
+          </div>
+
+          {/* Request limits */}
+          <div className="settings-section">
+            <h3>🚦 Request Limits</h3>
+            <p className="settings-hint" style={{ marginBottom: '0.75rem' }}>Use 0 for no limit. Your own requests are never limited.</p>
+            <div className="settings-grid">
+              <label>
+                Songs pending per guest
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.limits.maxPendingPerGuest}
+                  onChange={(e) => update('limits', 'maxPendingPerGuest', e.target.value)}
+                />
+              </label>
+              <label>
+                Seconds between requests
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.limits.cooldownSeconds}
+                  onChange={(e) => update('limits', 'cooldownSeconds', e.target.value)}
+                />
+              </label>
+              <label>
+                Max songs in queue
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.limits.maxQueueLength}
+                  onChange={(e) => update('limits', 'maxQueueLength', e.target.value)}
+                />
+              </label>
+              <label>
+                Max queue length (minutes)
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.limits.maxQueueMinutes}
+                  onChange={(e) => update('limits', 'maxQueueMinutes', e.target.value)}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Song length */}
+          <div className="settings-section">
+            <h3>⏱️ Song Length</h3>
+            <div className="settings-grid">
+              <label>
+                Minimum length (seconds, 0 = none)
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.durationLimits.minSeconds}
+                  onChange={(e) => update('durationLimits', 'minSeconds', e.target.value)}
+                />
+              </label>
+              <label>
+                Maximum length (minutes, 0 = none)
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.durationLimits.maxMinutes}
+                  onChange={(e) => update('durationLimits', 'maxMinutes', e.target.value)}
+                />
+              </label>
+            </div>
+            <label className="settings-toggle" style={{ marginTop: '0.75rem' }}>
+              <input
+                type="checkbox"
+                checked={draft.durationLimits.allowLive}
+                onChange={(e) => update('durationLimits', 'allowLive', e.target.checked)}
+              />
+              Allow live streams
+            </label>
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={draft.durationLimits.allowUnknown}
+                onChange={(e) => update('durationLimits', 'allowUnknown', e.target.checked)}
+              />
+              Allow songs with an unknown length
+            </label>
+          </div>
+
+          {/* Duplicate protection */}
+          <div className="settings-section">
+            <h3>🔁 Duplicate Requests</h3>
+            <div className="settings-grid">
+              <label>
+                When a song is already queued
+                <select
+                  className="input"
+                  value={draft.duplicates.policy}
+                  onChange={(e) => update('duplicates', 'policy', e.target.value)}
+                >
+                  <option value="reject">Refuse the request</option>
+                  <option value="merge">Credit the guest on the queued song</option>
+                </select>
+              </label>
+              <label>
+                Block replays for (minutes, 0 = off)
+                <input
+                  type="number"
+                  className="input"
+                  min={0}
+                  value={draft.duplicates.recentMinutes}
+                  onChange={(e) => update('duplicates', 'recentMinutes', e.target.value)}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Vote to skip */}
+          <div className="settings-section">
+            <h3>⏭️ Vote to Skip</h3>
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={draft.voteSkip.enabled}
+                onChange={(e) => update('voteSkip', 'enabled', e.target.checked)}
+              />
+              Let guests vote to skip the current song
+            </label>
+            <div className="settings-row">
+              <input
+                type="number"
+                className="input"
+                min={1}
+                max={draft.voteSkip.mode === 'percent' ? 100 : undefined}
+                value={draft.voteSkip.threshold}
+                onChange={(e) => update('voteSkip', 'threshold', e.target.value)}
+                disabled={!draft.voteSkip.enabled}
+              />
+              <select
+                className="input"
+                value={draft.voteSkip.mode}
+                onChange={(e) => update('voteSkip', 'mode', e.target.value)}
+                disabled={!draft.voteSkip.enabled}
+              >
+                <option value="percent">% of connected guests</option>
+                <option value="count">votes</option>
+              </select>
+            </div>
+          </div>
+
+          {/* Content filter */}
+          <div className="settings-section">
+            <h3>🚫 Content Filter</h3>
+            <p className="settings-hint" style={{ marginBottom: '0.75rem' }}>
+              One entry per line. Blocked songs are hidden from search and refused, even when you add them yourself.
+            </p>
+            <div className="settings-grid">
+              <label>
+                Blocked words in titles
+                <textarea
+                  className="input settings-textarea"
+                  rows={4}
+                  value={draft.contentFilter.keywords.join('\n')}
+                  onChange={(e) => updateList('keywords', e.target.value)}
+                />
+              </label>
+              <label>
+                Blocked channels
+                <textarea
+                  className="input settings-textarea"
+                  rows={4}
+                  value={draft.contentFilter.channels.join('\n')}
+                  onChange={(e) => updateList('channels', e.target.value)}
+                />
+              </label>
+            </div>
+            <div className="settings-grid settings-grid-single" style={{ marginTop: '0.75rem' }}>
+              <label>
+                Blocked videos (IDs or YouTube links)
+                <textarea
+                  className="input settings-textarea"
+                  rows={3}
+                  value={draft.contentFilter.videoIds.join('\n')}
+                  onChange={(e) => updateList('videoIds', e.target.value)}
+                />
+              </label>
+            </div>
+            <label className="settings-toggle" style={{ marginTop: '0.75rem' }}>
+              <input
+                type="checkbox"
+                checked={draft.contentFilter.explicitPreset}
+                onChange={(e) => update('contentFilter', 'explicitPreset', e.target.checked)}
+              />
+              Also block common explicit words
+            </label>
+          </div>
+
+          {/* Admin access */}
+          <div className="settings-section">
+            <h3>🔑 Admin Access</h3>
+            <p className="settings-hint">
+              Think someone else got hold of your host link? Change the admin key to sign out every other host
+              session. Co-hosts keep their own access.
+            </p>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleRotateToken} style={{ marginTop: '0.5rem' }}>
+              Change admin key
+            </button>
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              Save
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default RoomSettingsModal;
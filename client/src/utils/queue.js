@@ -0,0 +1,27 @@
+// Apply a `queue-delta` from the server to the queue it was based on (see
+// server/queueSync.js). Returns null if the delta doesn't fit, in which case
+// the queue should be fetched again with `request-queue-sync`.
+export const applyQueueDelta = (queue, delta) => {
+  const removed = new Set(delta.removed);
+  const updated = new Map(delta.updated.map(song => [song.id, song]));
+  const moved = new Map(delta.moved.map(({ id, index }) => [id, index]));
+
+  const remaining = queue.filter(song => !removed.has(song.id)).map(song => updated.get(song.id) || song);
+  const movedSongs = remaining.filter(song => moved.has(song.id));
+  const staying = remaining.filter(song => !moved.has(song.id));
+  if (remaining.length + removed.size !== queue.length || movedSongs.length !== moved.size) {
+    return null;
+  }
+
+  const length = remaining.length + delta.added.length;
+  const result = new Array(length).fill(null);
+  for (const { song, index } of delta.added) result[index] = song;
+  for (const song of movedSongs) result[moved.get(song.id)] = song;
+
+  // Everything else keeps its order in the free slots
+  for (let i = 0; i < length; i++) {
+    if (!result[i]) result[i] = staying.shift();
+  }
+
+  return result.length === length && staying.length === 0 && result.every(Boolean) ? result : null;
+};
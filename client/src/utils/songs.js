@@ -0,0 +1,62 @@
+// Everyone who requested a song: the original requester plus anyone whose
+// duplicate request was merged into it
+export const getRequesters = (song) => {
+  const others = (song.alsoRequestedBy || []).map(requester =>
+    typeof requester === 'string' ? requester : requester.name
+  );
+  return [song.addedBy, ...others].filter(Boolean);
+};
+
+export const formatRequesters = (song) => {
+  const names = getRequesters(song);
+  if (names.length <= 2) return names.join(' & ');
+  return `${names[0]}, ${names[1]} +${names.length - 2}`;
+};
+
+// Parse a duration string like "3:45" or "1:02:03" to seconds (null if unknown)
+export const parseDurationSeconds = (durationStr) => {
+  if (!durationStr || typeof durationStr !== 'string') return null;
+  const parts = durationStr.trim().split(':').map(Number);
+  if (parts.some(part => isNaN(part))) return null;
+
+  if (parts.length === 2) {
+    return parts[0] * 60 + parts[1];
+  } else if (parts.length === 3) {
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  }
+  return null;
+};
+
+// Why the room's duration policy would refuse a search result, or null if
+// it's fine. Mirrors the server-side check so results can be greyed out.
+export const getDurationRefusal = (video, durationLimits) => {
+  if (!durationLimits) return null;
+
+  if (video.isLive || /^live$/i.test(String(video.duration || '').trim())) {
+    return durationLimits.allowLive ? null : 'Live streams not allowed';
+  }
+
+  const seconds = parseDurationSeconds(video.duration);
+  if (!seconds) {
+    return durationLimits.allowUnknown ? null : 'Unknown length';
+  }
+  if (durationLimits.maxMinutes && seconds > durationLimits.maxMinutes * 60) {
+    return `Longer than ${durationLimits.maxMinutes} min`;
+  }
+  if (durationLimits.minSeconds && seconds < durationLimits.minSeconds) {
+    return `Shorter than ${durationLimits.minSeconds} sec`;
+  }
+  return null;
+};
+
+// Reactions guests can send to the song that's playing (same list as the server)
+export const REACTIONS = ['🔥', '❤️', '💃', '👎'];
+
+// Reaction counts from a song's { emoji: [guestId, ...] } map
+export const getReactionCounts = (reactions) => {
+  const counts = {};
+  for (const [emoji, reactors] of Object.entries(reactions || {})) {
+    if (reactors.length > 0) counts[emoji] = reactors.length;
+  }
+  return counts;
+};
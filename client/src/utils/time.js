@@ -0,0 +1,6 @@
+// Format a timestamp as a short local time, e.g. "21:47" ('' if invalid)
+export const formatClockTime = (timestamp) => {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
@@ -25,13 +25,15 @@ const retryRequest = async (fn, maxRetries = 2, initialDelay = 2000) => {
   }
 };
 
-// Main search function - uses our backend endpoint with improved error handling
-export const searchYouTube = async (query) => {
+// Main search function - uses our backend endpoint with improved error handling.
+// Pass `roomId` to leave out results blocked by the room's content filter.
+export const searchYouTube = async (query, roomId) => {
   try {
     const baseUrl = getApiBaseUrl();
     
     const searchRequest = async () => {
-      const response = await fetch(`${baseUrl}/api/youtube/search?q=${encodeURIComponent(query)}`);
+      const roomParam = roomId ? `&roomId=${encodeURIComponent(roomId)}` : '';
+      const response = await fetch(`${baseUrl}/api/youtube/search?q=${encodeURIComponent(query)}${roomParam}`);
       
       if (!response.ok) {
         const error = await response.json();
@@ -0,0 +1,48 @@
+// Request approval.
+//
+// When the room's `approval.required` setting is on, guest requests wait in
+// `room.pendingRequests` until the host approves or rejects them. Approved
+// songs join the queue; rejected ones are kept (with the host's reason) in
+// `room.rejectedRequests` so the guest can see what happened to them.
+
+const MAX_REJECTED = 100;
+
+export function getPendingRequests(room) {
+  if (!room.pendingRequests) room.pendingRequests = [];
+  return room.pendingRequests;
+}
+
+function getRejectedRequests(room) {
+  if (!room.rejectedRequests) room.rejectedRequests = [];
+  return room.rejectedRequests;
+}
+
+// Take a request out of the pending list. Returns the song, or null if it
+// isn't pending (already reviewed or withdrawn).
+export function takePendingRequest(room, songId) {
+  const pending = getPendingRequests(room);
+  const index = pending.findIndex(song => song.id === songId);
+  if (index === -1) return null;
+  return pending.splice(index, 1)[0];
+}
+
+export function recordRejection(room, song, reason) {
+  const rejected = getRejectedRequests(room);
+  rejected.push({ ...song, reason: reason || null, rejectedAt: new Date() });
+  if (rejected.length > MAX_REJECTED) {
+    rejected.splice(0, rejected.length - MAX_REJECTED);
+  }
+}
+
+// A guest's requests that haven't made it to the queue
+export function getGuestRequestStatus(room, guestId) {
+  return {
+    pending: getPendingRequests(room).filter(song => song.guestId === guestId),
+    rejected: getRejectedRequests(room).filter(song => song.guestId === guestId)
+  };
+}
+
+// Drop everything a guest has waiting for review
+export function purgePendingRequests(room, guestId) {
+  room.pendingRequests = getPendingRequests(room).filter(song => song.guestId !== guestId);
+}
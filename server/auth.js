@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { nanoid } from 'nanoid';
+
+// Host authentication.
+//
+// Room passwords are stored as salted scrypt hashes. Signing in with the
+// password doesn't hand out the room's master `adminToken`; it returns an
+// admin session token that expires and is signed with the master token, so
+// rotating the master token ends every session at once.
+//
+// Failed sign-ins are counted per IP and per room. Too many within
+// FAILURE_WINDOW locks that IP (or the whole room's sign-in) out for a
+// while. Attempt counts are kept in memory only, and each kind of secret
+// (host password, guest passcode) is counted separately.
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+
+// How long a password sign-in lasts
+export const ADMIN_SESSION_DURATION = (Number(process.env.ADMIN_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+
+const MAX_FAILURES_PER_IP = 5;
+const MAX_FAILURES_PER_ROOM = 20;
+const FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+const failedAttempts = new Map(); // key -> { failures: [timestamps], lockedUntil }
+
+// Constant-time string comparison
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt}$${hash.toString('hex')}`;
+}
+
+// Rooms saved before passwords were hashed still hold them in plain text
+export function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) return false;
+  if (!isHashed(stored)) return safeEqual(password, stored);
+
+  const [, salt, hash] = stored.split('$');
+  const candidate = await scrypt(password, salt, KEY_LENGTH);
+  return safeEqual(candidate.toString('hex'), hash);
+}
+
+function sign(room, payload) {
+  return crypto.createHmac('sha256', room.adminToken).update(`${room.id}.${payload}`).digest('base64url');
+}
+
+// A host session token for a room: `<expiresAt>.<nonce>.<signature>`
+export function createAdminSession(room) {
+  const expiresAt = Date.now() + ADMIN_SESSION_DURATION;
+  const payload = `${expiresAt.toString(36)}.${nanoid(8)}`;
+  return { token: `${payload}.${sign(room, payload)}`, expiresAt: new Date(expiresAt) };
+}
+
+// 'valid', 'expired' or 'invalid'
+export function checkAdminSession(room, token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return 'invalid';
+
+  const [expiresAt, nonce, signature] = parts;
+  if (!safeEqual(sign(room, `${expiresAt}.${nonce}`), signature)) return 'invalid';
+  return parseInt(expiresAt, 36) > Date.now() ? 'valid' : 'expired';
+}
+
+// True for the room's master token or a live session derived from it
+export function isHostToken(room, token) {
+  return safeEqual(token, room.adminToken) || checkAdminSession(room, token) === 'valid';
+}
+
+// Replace the master token. Every session signed with the old one stops
+// working, and so does the old token itself.
+export function rotateAdminToken(room) {
+  room.adminToken = nanoid(16);
+  return room.adminToken;
+}
+
+// Throttle keys for an attempt at one of a room's secrets (`scope` is e.g.
+// 'admin' or 'passcode')
+export function attemptKeys(scope, roomId, ip) {
+  return { ip: `${scope}:ip:${ip}`, room: `${scope}:room:${roomId}` };
+}
+
+// Seconds until these keys may try again, or 0 if neither is locked out
+export function getLockout(keys) {
+  const now = Date.now();
+  const lockedUntil = Math.max(...Object.values(keys).map(key => failedAttempts.get(key)?.lockedUntil || 0));
+  return Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+}
+
+function countFailure(key, maxFailures, now) {
+  const entry = failedAttempts.get(key) || { failures: [], lockedUntil: 0 };
+  entry.failures = entry.failures.filter(time => now - time < FAILURE_WINDOW);
+  entry.failures.push(now);
+  if (entry.failures.length >= maxFailures) {
+    entry.lockedUntil = now + LOCKOUT_DURATION;
+    entry.failures = [];
+  }
+  failedAttempts.set(key, entry);
+}
+
+// Count an attempt as a failure before it's checked, so requests sent at the
+// same time can't all get past the lockout while the password is hashed.
+// Returns `{ retryAfter }` (seconds) without counting anything if the keys
+// are locked out; otherwise pass the result to `clearFailures` if the attempt
+// turns out to be correct.
+export function startAttempt(keys) {
+  const retryAfter = getLockout(keys);
+  if (retryAfter > 0) return { retryAfter };
+
+  const now = Date.now();
+  countFailure(keys.ip, MAX_FAILURES_PER_IP, now);
+  countFailure(keys.room, MAX_FAILURES_PER_ROOM, now);
+  return { retryAfter: 0, startedAt: now };
+}
+
+// A correct attempt clears its IP's failures and takes itself back off the
+// room's count (the room's other failures stay: other IPs may still be
+// guessing)
+export function clearFailures(keys, attempt) {
+  failedAttempts.delete(keys.ip);
+  const entry = failedAttempts.get(keys.room);
+  const index = entry ? entry.failures.indexOf(attempt.startedAt) : -1;
+  if (index !== -1) entry.failures.splice(index, 1);
+}
+
+// Drop attempt records that no longer matter
+export function pruneFailedAttempts() {
+  const now = Date.now();
+  for (const [key, entry] of failedAttempts) {
+    if (entry.lockedUntil < now && entry.failures.every(time => now - time >= FAILURE_WINDOW)) {
+      failedAttempts.delete(key);
+    }
+  }
+}
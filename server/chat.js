@@ -0,0 +1,93 @@
+import { nanoid } from 'nanoid';
+
+// Room chat.
+//
+// Messages live on `room.chat` so guests who join late (or after a restart)
+// see the conversation so far. System messages ("Alex added …", "Now
+// playing …") share the same list and are marked with `type: 'system'`.
+//
+// Rate limiting is kept in memory only: a restart simply resets everyone's
+// allowance.
+
+const MAX_CHAT_HISTORY = 200;
+const MAX_MESSAGE_LENGTH = 500;
+
+// Each sender may post RATE_LIMIT_COUNT messages per RATE_LIMIT_WINDOW
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW = 10 * 1000; // 10 seconds
+
+const recentMessages = new Map();
+
+export function getChatHistory(room) {
+  if (!room.chat) room.chat = [];
+  return room.chat;
+}
+
+function appendMessage(room, message) {
+  const chat = getChatHistory(room);
+  chat.push(message);
+  if (chat.length > MAX_CHAT_HISTORY) {
+    chat.splice(0, chat.length - MAX_CHAT_HISTORY);
+  }
+  return message;
+}
+
+export function sanitizeMessage(text) {
+  const cleaned = typeof text === 'string' ? text.trim().slice(0, MAX_MESSAGE_LENGTH) : '';
+  return cleaned || null;
+}
+
+// Seconds until a sender may post again, or 0 if they may post now.
+// Counts the attempt when it's allowed.
+export function checkChatRateLimit(roomId, senderId) {
+  const key = `${roomId}:${senderId}`;
+  const now = Date.now();
+  const sent = (recentMessages.get(key) || []).filter(time => now - time < RATE_LIMIT_WINDOW);
+
+  if (sent.length >= RATE_LIMIT_COUNT) {
+    recentMessages.set(key, sent);
+    return Math.ceil((sent[0] + RATE_LIMIT_WINDOW - now) / 1000);
+  }
+
+  sent.push(now);
+  recentMessages.set(key, sent);
+  return 0;
+}
+
+// Forget rate limit state for a closed room
+export function forgetChat(roomId) {
+  for (const key of recentMessages.keys()) {
+    if (key.startsWith(`${roomId}:`)) recentMessages.delete(key);
+  }
+}
+
+export function addUserMessage(room, { guestId, name, isHost, isCohost, text }) {
+  return appendMessage(room, {
+    id: nanoid(10),
+    type: 'user',
+    guestId: guestId || null,
+    name: name || 'Guest',
+    isHost: Boolean(isHost),
+    isCohost: Boolean(isCohost),
+    text,
+    sentAt: new Date()
+  });
+}
+
+export function addSystemMessage(room, text) {
+  return appendMessage(room, {
+    id: nanoid(10),
+    type: 'system',
+    text,
+    sentAt: new Date()
+  });
+}
+
+// Returns true if the message existed
+export function deleteMessage(room, messageId) {
+  const chat = getChatHistory(room);
+  const index = chat.findIndex(message => message.id === messageId);
+  if (index === -1) return false;
+  chat.splice(index, 1);
+  return true;
+}
@@ -0,0 +1,75 @@
+// Per-room content filter: blocked keywords, channels and video IDs.
+
+// Keywords added when the host turns on the "explicit" preset
+export const EXPLICIT_KEYWORDS = [
+  'explicit',
+  'uncensored',
+  'nsfw',
+  'dirty version',
+  'parental advisory',
+  'fuck',
+  'shit',
+  'bitch'
+];
+
+const MAX_ENTRIES = 200;
+const MAX_ENTRY_LENGTH = 100;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accept full YouTube URLs as well as bare video IDs
+function toVideoId(value) {
+  try {
+    const url = new URL(value);
+    if (url.hostname.endsWith('youtu.be')) return url.pathname.slice(1);
+    return url.searchParams.get('v') || value;
+  } catch (e) {
+    return value;
+  }
+}
+
+// Clean up a list from the settings panel: trimmed, non-empty, unique
+export function sanitizeList(list, { videoIds = false } = {}) {
+  if (!Array.isArray(list)) return [];
+  const cleaned = list
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().slice(0, MAX_ENTRY_LENGTH))
+    .filter(Boolean)
+    .map(item => (videoIds ? toVideoId(item) : item));
+  return [...new Set(cleaned)].slice(0, MAX_ENTRIES);
+}
+
+// Whole-word, case-insensitive keyword match
+function matchesKeyword(text, keyword) {
+  return new RegExp(`(^|\\W)${escapeRegExp(keyword)}(\\W|$)`, 'i').test(text);
+}
+
+// A song field as text ('' if it isn't a string)
+function textOf(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+// Why the filter blocks a song, or null if it's allowed
+export function getBlockReason(song, filter) {
+  if (!filter) return null;
+
+  const videoId = textOf(song.videoId);
+  if (videoId && filter.videoIds.includes(videoId)) {
+    return 'This video has been blocked by the host.';
+  }
+
+  const channel = textOf(song.channel).toLowerCase();
+  if (channel && filter.channels.some(c => c.toLowerCase() === channel)) {
+    return 'Songs from this channel have been blocked by the host.';
+  }
+
+  const keywords = filter.explicitPreset ? [...filter.keywords, ...EXPLICIT_KEYWORDS] : filter.keywords;
+  const title = textOf(song.title);
+  if (keywords.some(keyword => matchesKeyword(title, keyword))) {
+    return 'This song contains a word the host has blocked.';
+  }
+
+  return null;
+}
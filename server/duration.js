@@ -0,0 +1,18 @@
+// Parse a duration string like "3:45" or "1:02:03" to seconds.
+// Returns null when the duration is missing or can't be parsed.
+export function parseDuration(durationStr) {
+  if (typeof durationStr === 'number') {
+    return durationStr > 0 ? durationStr : null;
+  }
+  if (!durationStr || typeof durationStr !== 'string') return null;
+
+  const parts = durationStr.trim().split(':').map(Number);
+  if (parts.some(part => isNaN(part))) return null;
+
+  if (parts.length === 2) {
+    return parts[0] * 60 + parts[1];
+  } else if (parts.length === 3) {
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  }
+  return null;
+}
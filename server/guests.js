@@ -0,0 +1,100 @@
+import { nanoid } from 'nanoid';
+
+// Guest identities.
+//
+// The server issues every guest an ID and a secret token the first time they
+// join a room. The client keeps the token and presents it on later joins to
+// get the same identity back, so display names, quotas and votes are bound
+// to something a guest can't simply type in.
+//
+// Identities live on `room.guests`, keyed by guest ID. Tokens never leave the
+// server except in the `guest-identity` event sent to their owner. The host's
+// moderation flags (`muted`, `banned`) live on the identity too, so they
+// stick across reloads and reconnects.
+
+const MAX_NAME_LENGTH = 30;
+
+// 'mute' stops a guest's song requests, 'mute-chat' their chat messages
+export const MODERATION_ACTIONS = ['kick', 'mute', 'unmute', 'mute-chat', 'unmute-chat', 'ban', 'unban'];
+
+export function sanitizeName(name) {
+  const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return cleaned || null;
+}
+
+function getGuests(room) {
+  if (!room.guests) room.guests = {};
+  return room.guests;
+}
+
+export function getGuest(room, guestId) {
+  return guestId ? getGuests(room)[guestId] || null : null;
+}
+
+// Find the guest a token belongs to, or issue a new identity
+export function resolveGuest(room, guestToken) {
+  const guests = getGuests(room);
+  if (guestToken) {
+    const existing = Object.values(guests).find(guest => guest.token === guestToken);
+    if (existing) return existing;
+  }
+
+  const guest = {
+    id: nanoid(10),
+    token: nanoid(24),
+    name: null,
+    muted: false,
+    chatMuted: false,
+    banned: false,
+    joinedAt: new Date()
+  };
+  guests[guest.id] = guest;
+  return guest;
+}
+
+// Guests without their tokens, for the admin
+export function listGuests(room) {
+  return Object.values(getGuests(room)).map(({ token, ...guest }) => guest);
+}
+
+// What a guest is told about themselves
+export function toIdentity(guest) {
+  return { guestId: guest.id, guestToken: guest.token, name: guest.name, muted: Boolean(guest.muted), chatMuted: Boolean(guest.chatMuted) };
+}
+
+// Change a guest's display name, including on the songs they requested.
+// Returns false if the name isn't usable.
+export function renameGuest(room, guest, name) {
+  const cleaned = sanitizeName(name);
+  if (!cleaned) return false;
+
+  guest.name = cleaned;
+  for (const song of [...room.queue, ...(room.pendingRequests || []), room.currentSong].filter(Boolean)) {
+    if (song.guestId === guest.id) song.addedBy = cleaned;
+    for (const requester of song.alsoRequestedBy || []) {
+      if (requester.guestId === guest.id) requester.name = cleaned;
+    }
+  }
+  return true;
+}
+
+// Apply a host moderation action's flags to a guest. Kicking has no lasting
+// effect beyond disconnecting them, which is up to the caller.
+export function moderateGuest(guest, action) {
+  if (action === 'mute' || action === 'unmute') guest.muted = action === 'mute';
+  if (action === 'mute-chat' || action === 'unmute-chat') guest.chatMuted = action === 'mute-chat';
+  if (action === 'ban' || action === 'unban') guest.banned = action === 'ban';
+}
+
+// Remove a guest's queued songs and their credits on other guests' songs.
+// Returns the number of songs removed.
+export function purgeGuestSongs(room, guestId) {
+  const before = room.queue.length;
+  room.queue = room.queue.filter(song => song.guestId !== guestId);
+  for (const song of room.queue) {
+    if (song.alsoRequestedBy) {
+      song.alsoRequestedBy = song.alsoRequestedBy.filter(requester => requester.guestId !== guestId);
+    }
+  }
+  return before - room.queue.length;
+}
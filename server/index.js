@@ -7,6 +7,22 @@ import { nanoid } from 'nanoid';
 import { search as youtubeSearch } from 'youtube-search-without-api-key';
 import yts from 'youtube-sr';
 import { fileURLToPath } from 'url';
+import { createRoomStore } from './store.js';
+import { createPlaybackEngine } from './playback.js';
+import { DEFAULT_SETTINGS, getSettings, getPublicSettings, applySettings } from './settings.js';
+import { getBlockReason } from './contentFilter.js';
+import { getPendingRequests, takePendingRequest, recordRejection, getGuestRequestStatus, purgePendingRequests } from './approvals.js';
+import { addReaction } from './reactions.js';
+import { createPresenceTracker } from './presence.js';
+import { getChatHistory, sanitizeMessage, checkChatRateLimit, forgetChat, addUserMessage, addSystemMessage, deleteMessage } from './chat.js';
+import { hashPassword, isHashed, verifyPassword, createAdminSession, checkAdminSession, rotateAdminToken, startAttempt, clearFailures, attemptKeys, pruneFailedAttempts } from './auth.js';
+import { isPrivate, getAccessKey, hasAccess, checkPasscode, resetAccessKey } from './privacy.js';
+import { getCohost, resolveAdmin, can, hasPermission, isHost, promoteGuest, revokeCohost, listCohosts } from './permissions.js';
+import { MODERATION_ACTIONS, getGuest, resolveGuest, renameGuest, listGuests, toIdentity, moderateGuest, purgeGuestSongs } from './guests.js';
+import { getVersion, bumpVersion, listPayload, applyListOp } from './queueOps.js';
+import { createQueueSync } from './queueSync.js';
+import { orderQueue, castVote, assignFairRound, resetFairRounds, requesterKey } from './queue.js';
+import { parseDuration } from './duration.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,17 +58,50 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
-// In-memory storage for rooms
-const rooms = new Map();
+// Room storage (in-memory by default, see ROOM_STORE in server/store.js)
+const roomStore = createRoomStore();
 
 // Generate a unique room ID
 function generateRoomId() {
   return nanoid(8);
 }
 
+// Rooms with no activity for this long are closed automatically
+const ROOM_IDLE_TIMEOUT = (Number(process.env.ROOM_IDLE_TIMEOUT_HOURS) || 12) * 60 * 60 * 1000;
+const ROOM_CLEANUP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
 // Average song duration in seconds (used for ETA when actual duration unknown)
 const DEFAULT_SONG_DURATION = 210; // 3.5 minutes
 
+// Longest title, channel or video ID accepted from a client
+const MAX_SONG_FIELD_LENGTH = 300;
+
+// Queue broadcasts: versioned deltas instead of the whole queue each time
+const queueSync = createQueueSync({ io });
+
+// Playback engine: owns now playing, position and advancement for every room
+const playback = createPlaybackEngine({
+  io,
+  saveRoom,
+  defaultDuration: DEFAULT_SONG_DURATION,
+  onSongStart: (room, song) => postSystemMessage(room, `Now playing: ${song.title}`),
+  onQueueChange: (room) => emitQueue(room),
+  onFallbackChange: (room) => emitFallback(room)
+});
+playback.restore(roomStore.values());
+
+// Presence: who is in each room right now (people, not sockets)
+const presence = createPresenceTracker({
+  onChange: (roomId) => {
+    const room = getRoom(roomId);
+    if (!room) return;
+    emitPresence(room);
+    emitGuests(room);
+    // Guest count changed, so a percentage threshold may have too
+    checkSkipVotes(room);
+  }
+});
+
 // Format duration in seconds to MM:SS
 function formatDuration(seconds) {
   if (!seconds) return null;
@@ -61,6 +110,31 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Number of history entries returned by default, and the most a request
+// may ask for with `?limit=`
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+const HISTORY_CSV_COLUMNS = ['startedAt', 'endedAt', 'title', 'channel', 'videoId', 'duration', 'addedBy', 'alsoRequestedBy', 'skipped', 'fromFallback', 'reactions'];
+
+// Convert room history to CSV
+function historyToCsv(history) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (value instanceof Date) str = value.toISOString();
+    else if (Array.isArray(value)) str = value.join('; ');
+    else if (typeof value === 'object') str = Object.entries(value).map(([key, count]) => `${key} ${count}`).join('; ');
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  
+  const lines = [HISTORY_CSV_COLUMNS.join(',')];
+  for (const entry of history) {
+    lines.push(HISTORY_CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+  }
+  return lines.join('\n');
+}
+
 // Cache management functions
 function getCacheKey(query) {
   return `search:${query.toLowerCase().trim()}`;
@@ -172,23 +246,32 @@ async function performYouTubeSearch(query, options = {}) {
   }
 }
 
-// Create a new room
-function createRoom(hostName, password = null) {
+// Create a new room. `passwordHash` comes from hashPassword().
+function createRoom(hostName, passwordHash = null) {
   const roomId = generateRoomId();
   const adminToken = nanoid(16);
   
-  rooms.set(roomId, {
+  roomStore.set({
     id: roomId,
     adminToken,
     hostName,
-    password,
+    password: passwordHash,
     queue: [],
     fallbackPlaylist: [],
+    history: [],
+    settings: structuredClone(DEFAULT_SETTINGS),
+    skipVotes: null,
+    guests: {},
+    pendingRequests: [],
+    rejectedRequests: [],
+    lastRequestAt: {},
     currentSong: null,
     currentSongStartedAt: null,
+    pausedPosition: null,
     isPlaying: false,
     isPlayingFallback: false,
-    createdAt: new Date()
+    createdAt: new Date(),
+    lastActivityAt: Date.now()
   });
   
   return { roomId, adminToken };
@@ -196,23 +279,512 @@ function createRoom(hostName, password = null) {
 
 // Get room by ID
 function getRoom(roomId) {
-  return rooms.get(roomId);
+  return roomStore.get(roomId);
+}
+
+// The room a guest event is for, or null if this socket may not act in it.
+// Private rooms only take events from sockets that joined them, which took
+// the access key.
+function getGuestRoom(socket, roomId) {
+  const room = getRoom(roomId);
+  if (!room) return null;
+  return !isPrivate(room) || socket.rooms.has(room.id) ? room : null;
+}
+
+// Whether a REST request may see a room: guests of a private room need its
+// access key, admins their token
+function canViewRoom(room, req) {
+  return hasAccess(room, req.headers['x-room-access']) || Boolean(resolveAdmin(room, req.headers['x-admin-token']));
+}
+
+// Why a guest can't get into a private room
+function privateRoomError(room) {
+  return {
+    error: 'This room is private. Use the invite link from the host or enter the room passcode.',
+    type: 'private_room',
+    hasPasscode: Boolean(getSettings(room).privacy.passcode)
+  };
+}
+
+// 429 for a secret that has been guessed at too often
+function sendLockedOut(res, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(429).json({
+    error: `Too many wrong attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    type: 'locked_out',
+    retryAfter
+  });
+}
+
+// Persist changes made to a room (also counts as room activity)
+function saveRoom(room) {
+  room.lastActivityAt = Date.now();
+  roomStore.save(room);
+}
+
+// Re-sort the queue according to the room's queue mode
+function sortQueue(room) {
+  orderQueue(room.queue, getSettings(room).queue.mode);
+}
+
+// Check a guest's request against the room's limits. Returns null if the
+// song may be added, otherwise an error payload for `add-song-error`.
+function checkRequestLimits(room, song) {
+  const { limits } = getSettings(room);
+  const guestKey = requesterKey(song);
+  
+  if (limits.maxQueueLength && room.queue.length >= limits.maxQueueLength) {
+    return {
+      error: `The queue is full (${limits.maxQueueLength} songs). Try again once a few have played.`,
+      type: 'queue_full'
+    };
+  }
+  
+  if (limits.maxQueueMinutes) {
+    const queuedSeconds = [...room.queue, song].reduce(
+      (total, s) => total + (parseDuration(s.duration) || DEFAULT_SONG_DURATION), 0
+    );
+    if (queuedSeconds > limits.maxQueueMinutes * 60) {
+      return {
+        error: `The queue is at its ${limits.maxQueueMinutes} minute limit. Try again once a few songs have played.`,
+        type: 'queue_too_long'
+      };
+    }
+  }
+  
+  // Requests waiting for approval count towards the guest's quota
+  if (limits.maxPendingPerGuest) {
+    const pending = [...room.queue, ...getPendingRequests(room)].filter(s => requesterKey(s) === guestKey).length;
+    if (pending >= limits.maxPendingPerGuest) {
+      return {
+        error: `You already have ${pending}/${limits.maxPendingPerGuest} songs pending. Wait for one to play first.`,
+        type: 'quota_exceeded',
+        pending,
+        limit: limits.maxPendingPerGuest
+      };
+    }
+  }
+  
+  if (limits.cooldownSeconds) {
+    const lastRequest = room.lastRequestAt?.[guestKey] || 0;
+    const retryAfter = Math.ceil((lastRequest + limits.cooldownSeconds * 1000 - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      return {
+        error: `Slow down! You can request another song in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+        type: 'cooldown',
+        retryAfter
+      };
+    }
+  }
+  
+  return null;
+}
+
+// Check a song's length against the room's duration policy. Returns null if
+// it's allowed, otherwise an error payload for `add-song-error`.
+function checkDurationPolicy(room, song) {
+  const { durationLimits } = getSettings(room);
+  
+  if (song.isLive) {
+    return durationLimits.allowLive ? null : {
+      error: 'Live streams can\'t be requested in this room.',
+      type: 'live_stream'
+    };
+  }
+  
+  if (!song.durationSeconds) {
+    return durationLimits.allowUnknown ? null : {
+      error: 'We can\'t tell how long that song is, so it can\'t be requested here.',
+      type: 'unknown_duration'
+    };
+  }
+  
+  if (durationLimits.maxMinutes && song.durationSeconds > durationLimits.maxMinutes * 60) {
+    return {
+      error: `That's too long! Songs can be at most ${durationLimits.maxMinutes} minutes here.`,
+      type: 'too_long'
+    };
+  }
+  
+  if (durationLimits.minSeconds && song.durationSeconds < durationLimits.minSeconds) {
+    return {
+      error: `That's too short! Songs must be at least ${durationLimits.minSeconds} seconds here.`,
+      type: 'too_short'
+    };
+  }
+  
+  return null;
+}
+
+// A text field from a client payload, or '' if it isn't a string
+function payloadText(value, maxLength = MAX_SONG_FIELD_LENGTH) {
+  return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+// The video fields of a requested song, taken from a client payload. Anything
+// that isn't the expected type is dropped, so later checks can rely on it.
+function songDetails(song) {
+  return {
+    videoId: payloadText(song.videoId),
+    title: payloadText(song.title),
+    thumbnail: payloadText(song.thumbnail, 2000),
+    channel: payloadText(song.channel),
+    duration: typeof song.duration === 'number' ? song.duration : payloadText(song.duration, 20) || null,
+    durationSeconds: parseDuration(song.duration),
+    isLive: Boolean(song.isLive) || /^live$/i.test(String(song.duration || '').trim())
+  };
+}
+
+// Check a request against what's queued, playing or recently played.
+// Returns null if the song is new, `{ merge: song }` when it should be
+// credited to an existing queue entry, or an error payload otherwise.
+function checkDuplicate(room, song) {
+  const { duplicates } = getSettings(room);
+  
+  const queueIndex = room.queue.findIndex(s => s.videoId === song.videoId);
+  if (queueIndex !== -1) {
+    if (duplicates.policy === 'merge') {
+      return { merge: room.queue[queueIndex] };
+    }
+    return {
+      error: `That song is already in the queue at #${queueIndex + 1}.`,
+      type: 'duplicate_queued',
+      position: queueIndex + 1
+    };
+  }
+  
+  if (getPendingRequests(room).some(s => s.videoId === song.videoId)) {
+    return {
+      error: 'That song is already waiting for the host\'s approval.',
+      type: 'duplicate_pending'
+    };
+  }
+  
+  if (room.currentSong && room.currentSong.videoId === song.videoId) {
+    return {
+      error: 'That song is playing right now!',
+      type: 'duplicate_playing'
+    };
+  }
+  
+  if (duplicates.recentMinutes) {
+    const since = Date.now() - duplicates.recentMinutes * 60 * 1000;
+    const recent = (room.history || []).findLast(entry =>
+      entry.videoId === song.videoId && new Date(entry.startedAt).getTime() > since
+    );
+    if (recent) {
+      const minutesAgo = Math.max(1, Math.round((Date.now() - new Date(recent.startedAt).getTime()) / 60000));
+      return {
+        error: `That song was played ${minutesAgo} min ago. Try again later.`,
+        type: 'recently_played'
+      };
+    }
+  }
+  
+  return null;
+}
+
+// Everything a client shows about a room, for (re)building its view from
+// scratch. Sent on every join, so a client that reconnects after a dropped
+// connection replaces whatever it missed instead of keeping stale state.
+function getRoomSnapshot(room, socket) {
+  queueSync.flush(room);
+  const snapshot = {
+    queue: room.queue,
+    queueVersion: getVersion(room, 'queue'),
+    fallbackPlaylist: room.fallbackPlaylist,
+    fallbackVersion: getVersion(room, 'fallback'),
+    currentSong: room.currentSong,
+    currentSongStartedAt: room.currentSongStartedAt,
+    position: playback.getPosition(room),
+    isPlaying: room.isPlaying,
+    isPlayingFallback: room.isPlayingFallback,
+    settings: socket.isAdmin ? getSettings(room) : getPublicSettings(room),
+    skipVotes: getSkipTally(room),
+    history: (room.history || []).slice(-HISTORY_PAGE_SIZE).reverse(),
+    presence: getPresence(room)
+  };
+  if (socket.isAdmin) {
+    snapshot.guests = getGuestList(room);
+  }
+  if (socket.adminRole === 'host') {
+    snapshot.cohosts = listCohosts(room);
+  }
+  return snapshot;
+}
+
+// Send a change to the queue to everyone in a room (bumps its version)
+function emitQueue(room) {
+  queueSync.publish(room);
+}
+
+function emitFallback(room) {
+  bumpVersion(room, 'fallback');
+  io.to(room.id).emit('fallback-updated', listPayload(room, 'fallback'));
+}
+
+// The entry an admin's insert operation adds to a list, or an error payload.
+// Queue songs are credited to the admin who added them: co-hosts by their
+// guest name, the host by the room's host name.
+function prepareInsert(room, list, song, admin) {
+  if (!song || typeof song.videoId !== 'string') {
+    return { error: 'That isn\'t a song.', type: 'invalid_op' };
+  }
+
+  const entry = { ...songDetails(song), id: nanoid(10), addedAt: new Date() };
+  if (list === 'fallback') return { song: entry };
+
+  const guest = getGuest(room, admin?.guestId);
+  const queued = { ...entry, guestId: guest ? guest.id : null, addedBy: guest ? (guest.name || 'Guest') : room.hostName };
+  const blockReason = getBlockReason(queued, getSettings(room).contentFilter);
+  if (blockReason) {
+    return { error: blockReason, type: 'blocked' };
+  }
+  return checkDurationPolicy(room, queued) || { song: queued };
+}
+
+// Apply an admin's operation on the queue or fallback playlist (see
+// queueOps.js) and tell the room. Returns `{ song }` or an error payload.
+function performListOp(room, list, op, admin) {
+  let result;
+  if (op?.type === 'insert') {
+    const insert = prepareInsert(room, list, op.song, admin);
+    result = insert.song ? applyListOp(room, list, { ...op, song: insert.song }) : insert;
+  } else {
+    result = applyListOp(room, list, op);
+  }
+  if (!result.song) return result;
+
+  if (list === 'fallback') {
+    // Fallback songs stay in the playlist, so the one playing is a copy. It
+    // gets its own ID so skip votes on it don't carry over when the playlist
+    // entry plays again later.
+    if (op.type === 'play') {
+      playback.playSong(room, { ...result.song, id: nanoid(10) }, { isFallback: true });
+    } else {
+      emitFallback(room);
+    }
+    saveRoom(room);
+    return result;
+  }
+
+  // In the sorted queue modes, songs the admin placed get pinned so votes or
+  // the rotation can't move them away again
+  const { song } = result;
+  const placed = op.type === 'move' || (op.type === 'insert' && op.afterId !== undefined);
+  if (placed && getSettings(room).queue.mode !== 'fifo') {
+    song.pinned = true;
+  }
+  if (op.type === 'insert') {
+    assignFairRound(room.queue, song);
+    postSystemMessage(room, `${song.addedBy} added ${song.title}`);
+  }
+  if (op.type === 'play') {
+    playback.playSong(room, song);
+  }
+  sortQueue(room);
+  emitQueue(room);
+  saveRoom(room);
+  return result;
+}
+
+// Admins need the list's permission, and playing a song from it also takes
+// playback control
+function canApplyListOp(admin, list, op) {
+  if (!can(admin, list)) return false;
+  return op?.type !== 'play' || can(admin, 'playback');
+}
+
+// Socket version: if the operation can't be applied, the admin gets the
+// reason and the current list to resync with
+function handleListOp(socket, room, list, op, admin) {
+  const result = performListOp(room, list, op, admin);
+  if (!result.song) {
+    if (list === 'queue') queueSync.flush(room);
+    socket.emit(`${list}-op-rejected`, { error: result.error, type: result.type, ...listPayload(room, list) });
+  }
+}
+
+// Send settings to everyone in a room: admins get the full set, guests
+// only the public sections
+function emitSettings(room) {
+  const publicSettings = getPublicSettings(room);
+  const settings = getSettings(room);
+  
+  for (const socket of getRoomSockets(room.id)) {
+    socket.emit('settings-updated', socket.isAdmin ? settings : publicSettings);
+  }
+}
+
+// Sockets currently connected to a room
+function getRoomSockets(roomId) {
+  const socketIds = io.sockets.adapter.rooms.get(roomId) || new Set();
+  return [...socketIds].map(id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+// Number of guests currently in a room (each guest counts once, however
+// many tabs they have open)
+function getGuestCount(roomId) {
+  return presence.guestCount(roomId);
+}
+
+// Who is in a room, for both dashboards
+function getPresence(room) {
+  const members = presence.list(room.id).map(member => ({
+    guestId: member.guestId,
+    name: member.role === 'host' ? room.hostName : getGuest(room, member.guestId)?.name || null,
+    role: member.role === 'guest' && getCohost(room, member.guestId) ? 'cohost' : member.role,
+    connections: member.connections,
+    joinedAt: member.joinedAt
+  }));
+  return { guestCount: getGuestCount(room.id), members };
+}
+
+function emitPresence(room) {
+  io.to(room.id).emit('presence-updated', getPresence(room));
+}
+
+// Guests the host can see and moderate: everyone online, plus anyone
+// offline who is muted, banned or still has songs queued
+function getGuestList(room) {
+  return listGuests(room)
+    .map(guest => ({ ...guest, online: presence.isOnline(room.id, guest.id), cohost: Boolean(getCohost(room, guest.id)) }))
+    .filter(guest => guest.online || guest.muted || guest.chatMuted || guest.banned || guest.cohost ||
+      room.queue.some(song => song.guestId === guest.id));
+}
+
+// Sockets a guest is connected with (one per open tab)
+function getGuestSockets(roomId, guestId) {
+  return getRoomSockets(roomId).filter(socket => socket.guestId === guestId);
+}
+
+// Send requests awaiting approval: the full inbox to admins, and each guest
+// the status of their own requests
+function emitRequests(room, sockets = getRoomSockets(room.id)) {
+  const pending = getPendingRequests(room);
+  for (const socket of sockets) {
+    if (socket.isAdmin) {
+      socket.emit('pending-updated', pending);
+    } else if (socket.guestId) {
+      socket.emit('my-requests-updated', getGuestRequestStatus(room, socket.guestId));
+    }
+  }
+}
+
+// Send a room's access key to everyone connected: admins for the invite
+// link, guests so they can reconnect to a private room
+function emitAccessKey(room) {
+  const accessKey = getAccessKey(room);
+  for (const socket of getRoomSockets(room.id)) {
+    socket.emit(socket.isAdmin ? 'access-key-updated' : 'room-access-granted', { accessKey });
+  }
+}
+
+// What an admin socket is told about itself
+function getAdminIdentity(room, admin) {
+  return {
+    role: admin.role,
+    permissions: admin.permissions,
+    name: admin.role === 'host' ? room.hostName : getGuest(room, admin.guestId)?.name || null
+  };
+}
+
+// Send the co-host list to the host, and the guest list (which shows who
+// is a co-host) to all admins
+function emitCohosts(room) {
+  const cohosts = listCohosts(room);
+  for (const socket of getRoomSockets(room.id)) {
+    if (socket.adminRole === 'host') socket.emit('cohosts-updated', cohosts);
+  }
+  emitGuests(room);
+}
+
+// Send the guest list to the room's admins
+function emitGuests(room) {
+  const guests = getGuestList(room);
+  for (const socket of getRoomSockets(room.id)) {
+    if (socket.isAdmin) socket.emit('guests-updated', guests);
+  }
+}
+
+// Current vote-to-skip tally for a room
+function getSkipTally(room) {
+  const { voteSkip } = getSettings(room);
+  const songId = room.currentSong ? room.currentSong.id : null;
+  const votes = room.skipVotes && room.skipVotes.songId === songId ? room.skipVotes.voters.length : 0;
+  const needed = voteSkip.mode === 'percent'
+    ? Math.max(1, Math.ceil(getGuestCount(room.id) * voteSkip.threshold / 100))
+    : voteSkip.threshold;
+  
+  return { songId, votes, needed, enabled: voteSkip.enabled };
+}
+
+// Broadcast the skip tally and skip the song once enough guests have voted
+function checkSkipVotes(room) {
+  const tally = getSkipTally(room);
+  
+  if (tally.enabled && tally.songId && tally.votes > 0 && tally.votes >= tally.needed) {
+    console.log(`Vote skip passed in room ${room.id} (${tally.votes}/${tally.needed})`);
+    room.skipVotes = null;
+    playback.advance(room, 'skipped');
+    io.to(room.id).emit('skip-votes-updated', getSkipTally(room));
+    return;
+  }
+  
+  io.to(room.id).emit('skip-votes-updated', tally);
+}
+
+// Close a room: tell everyone in it, drop their sockets and delete it
+function closeRoom(room, reason) {
+  io.to(room.id).emit('room-closed', { reason });
+  io.in(room.id).socketsLeave(room.id);
+  playback.forget(room.id);
+  queueSync.forget(room.id);
+  presence.forget(room.id);
+  forgetChat(room.id);
+  roomStore.delete(room.id);
+  console.log(`Room ${room.id} closed (${reason})`);
+}
+
+// Post a system message ("Alex added …") to a room's chat
+function postSystemMessage(room, text) {
+  io.to(room.id).emit('chat-message', addSystemMessage(room, text));
+}
+
+// Close rooms that have been idle for longer than ROOM_IDLE_TIMEOUT
+function cleanupIdleRooms() {
+  const now = Date.now();
+  for (const room of [...roomStore.values()]) {
+    const lastActivity = room.lastActivityAt || new Date(room.createdAt).getTime();
+    if (now - lastActivity > ROOM_IDLE_TIMEOUT) {
+      closeRoom(room, 'expired');
+    }
+  }
 }
 
 // YouTube Search endpoint with rate limiting protection and caching
+// Pass `roomId` to drop results blocked by that room's content filter.
 app.get('/api/youtube/search', async (req, res) => {
-  const { q } = req.query;
+  const { q, roomId } = req.query;
   
   if (!q) {
     return res.status(400).json({ error: 'Search query is required' });
   }
   
+  const room = roomId ? getRoom(roomId) : null;
+  const filterResults = (results) => {
+    if (!room) return results;
+    const { contentFilter } = getSettings(room);
+    return results.filter(video => !getBlockReason(video, contentFilter));
+  };
+  
   try {
     // Check cache first
     const cachedResult = getCachedResult(q);
     if (cachedResult) {
       console.log(`Serving cached result for query: "${q}"`);
-      return res.json(cachedResult);
+      return res.json(filterResults(cachedResult));
     }
     
     // Check rate limits
@@ -235,6 +807,8 @@ app.get('/api/youtube/search', async (req, res) => {
       thumbnail: item.snippet?.thumbnails?.default?.url || item.snippet?.thumbnails?.url,
       channel: item.snippet?.channelTitle || 'Unknown',
       duration: item.duration_raw || item.snippet?.duration || 'Unknown',
+      // Live broadcasts are the results YouTube lists without a length
+      isLive: !item.duration_raw && !item.snippet?.duration,
       views: item.views || 'Unknown'
     }));
     
@@ -242,7 +816,7 @@ app.get('/api/youtube/search', async (req, res) => {
     setCachedResult(q, results);
     
     console.log(`Search completed for query: "${q}" - ${results.length} results`);
-    res.json(results);
+    res.json(filterResults(results));
     
   } catch (error) {
     console.error('YouTube search error:', error);
@@ -308,6 +882,7 @@ app.get('/api/youtube/playlist', async (req, res) => {
       thumbnail: video.thumbnail?.url || video.thumbnail,
       channel: video.channel?.name || 'Unknown',
       duration: video.durationFormatted || 'Unknown',
+      isLive: Boolean(video.live),
       views: 'Unknown' // youtube-sr doesn't provide view counts in playlists
     })).filter(video => video.videoId); // Filter out any invalid entries
     
@@ -346,14 +921,16 @@ app.get('/api/youtube/playlist', async (req, res) => {
 });
 
 // API Routes
-app.post('/api/rooms', (req, res) => {
+app.post('/api/rooms', async (req, res) => {
   const { hostName, password } = req.body;
-  const { roomId, adminToken } = createRoom(hostName || 'DJ', password);
+  const passwordHash = typeof password === 'string' && password ? await hashPassword(password) : null;
+  const { roomId, adminToken } = createRoom(hostName || 'DJ', passwordHash);
   res.json({ roomId, adminToken });
 });
 
-// Admin authentication endpoint
-app.post('/api/rooms/:roomId/admin-auth', (req, res) => {
+// Admin authentication endpoint. Hands out an expiring admin session, and
+// locks out IPs (and rooms) after too many wrong passwords.
+app.post('/api/rooms/:roomId/admin-auth', async (req, res) => {
   const { password } = req.body;
   const room = getRoom(req.params.roomId);
   
@@ -365,11 +942,46 @@ app.post('/api/rooms/:roomId/admin-auth', (req, res) => {
     return res.status(400).json({ error: 'This room does not have a password set' });
   }
   
-  if (room.password !== password) {
+  const keys = attemptKeys('admin', room.id, req.ip);
+  const attempt = startAttempt(keys);
+  if (attempt.retryAfter > 0) {
+    return sendLockedOut(res, attempt.retryAfter);
+  }
+  
+  if (!await verifyPassword(password, room.password)) {
     return res.status(401).json({ error: 'Incorrect password' });
   }
   
-  res.json({ adminToken: room.adminToken });
+  clearFailures(keys, attempt);
+  // Upgrade passwords saved before they were hashed
+  if (!isHashed(room.password)) {
+    room.password = await hashPassword(password);
+    saveRoom(room);
+  }
+  
+  const session = createAdminSession(room);
+  res.json({ adminToken: session.token, expiresAt: session.expiresAt });
+});
+
+// Private rooms: exchange the room passcode for its access key
+app.post('/api/rooms/:roomId/access', (req, res) => {
+  const room = getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  const keys = attemptKeys('passcode', room.id, req.ip);
+  const attempt = startAttempt(keys);
+  if (attempt.retryAfter > 0) {
+    return sendLockedOut(res, attempt.retryAfter);
+  }
+  
+  if (!checkPasscode(room, req.body.passcode)) {
+    return res.status(401).json({ error: 'Wrong passcode', type: 'wrong_passcode' });
+  }
+  
+  clearFailures(keys, attempt);
+  res.json({ accessKey: getAccessKey(room) });
 });
 
 app.get('/api/rooms/:roomId', (req, res) => {
@@ -377,224 +989,841 @@ app.get('/api/rooms/:roomId', (req, res) => {
   if (!room) {
     return res.status(404).json({ error: 'Room not found' });
   }
+  if (!canViewRoom(room, req)) {
+    return res.status(403).json(privateRoomError(room));
+  }
   // Return public room data (without admin token)
+  queueSync.flush(room);
   res.json({
     id: room.id,
     hostName: room.hostName,
     queue: room.queue,
+    queueVersion: getVersion(room, 'queue'),
     currentSong: room.currentSong,
     currentSongStartedAt: room.currentSongStartedAt,
+    position: playback.getPosition(room),
     isPlaying: room.isPlaying,
-    isPlayingFallback: room.isPlayingFallback
+    isPlayingFallback: room.isPlayingFallback,
+    settings: getPublicSettings(room),
+    skipVotes: getSkipTally(room)
   });
 });
 
-app.get('/api/rooms/:roomId/admin', (req, res) => {
-  const room = getRoom(req.params.roomId);
-  const adminToken = req.headers['x-admin-token'];
+// Resolves `req.room` and `req.admin`, or answers 401/403/404. The admin
+// needs every permission given.
+function requireAdmin(...permissions) {
+  return (req, res, next) => {
+    const room = getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const token = req.headers['x-admin-token'];
+    const admin = resolveAdmin(room, token);
+    if (!admin) {
+      if (checkAdminSession(room, token) === 'expired') {
+        return res.status(401).json({ error: 'Your admin session has expired. Sign in again with the room password.', type: 'session_expired' });
+      }
+      return res.status(403).json({ error: 'Invalid admin token' });
+    }
+    if (!permissions.every(permission => can(admin, permission))) {
+      return res.status(403).json({ error: 'You don\'t have permission to do that.', type: 'forbidden' });
+    }
+    
+    req.room = room;
+    req.admin = admin;
+    next();
+  };
+}
+
+app.get('/api/rooms/:roomId/admin', requireAdmin(), (req, res) => {
+  const { room, admin } = req;
   
+  // Co-hosts share this view, so no credentials in it
+  queueSync.flush(room);
+  const { adminToken, password, cohosts, inviteSecret, ...roomData } = room;
+  res.json({
+    ...roomData,
+    queueVersion: getVersion(room, 'queue'),
+    fallbackVersion: getVersion(room, 'fallback'),
+    accessKey: getAccessKey(room),
+    role: admin.role,
+    permissions: admin.permissions,
+    cohosts: listCohosts(room),
+    guests: getGuestList(room),
+    settings: getSettings(room),
+    position: playback.getPosition(room),
+    skipVotes: getSkipTally(room)
+  });
+});
+
+// Played song history (most recent first)
+app.get('/api/rooms/:roomId/history', (req, res) => {
+  const room = getRoom(req.params.roomId);
   if (!room) {
     return res.status(404).json({ error: 'Room not found' });
   }
+  if (!canViewRoom(room, req)) {
+    return res.status(403).json(privateRoomError(room));
+  }
+  
+  const requested = Math.floor(Number(req.query.limit));
+  const limit = requested > 0 ? Math.min(requested, MAX_HISTORY_PAGE_SIZE) : HISTORY_PAGE_SIZE;
+  res.json((room.history || []).slice(-limit).reverse());
+});
+
+// Admin: Download the full history as JSON or CSV
+app.get('/api/rooms/:roomId/history/export', requireAdmin(), (req, res) => {
+  const { room } = req;
+  const history = room.history || [];
+  const filename = `guestdj-${room.id}-history`;
+  
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(historyToCsv(history));
+  }
   
-  if (room.adminToken !== adminToken) {
-    return res.status(403).json({ error: 'Invalid admin token' });
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json(history);
+});
+
+// REST API for bots and integrations (Slack, Stream Deck, home automation).
+// Same actions as the admin socket events, authenticated with the
+// x-admin-token header and broadcast to the room the same way. Its paths
+// carry a version so they can change without breaking existing scripts.
+const REST_API = '/api/v1/rooms/:roomId';
+
+// HTTP status for a list operation that couldn't be applied. The rest are
+// room rules (content filter, song length).
+const LIST_OP_STATUS = { invalid_op: 400, not_found: 404, stale: 409 };
+
+// Run a list operation for a REST request. `baseVersion` is optional: without
+// it the operation applies to whatever the list is now.
+function sendListOp(req, res, list, op) {
+  const { room } = req;
+  const baseVersion = op.baseVersion ?? getVersion(room, list);
+  const result = performListOp(room, list, { ...op, baseVersion: Number(baseVersion) }, req.admin);
+  if (!result.song) {
+    return res.status(LIST_OP_STATUS[result.type] || 422).json({ ...result, version: getVersion(room, list) });
   }
+  res.json({ song: result.song, version: getVersion(room, list) });
+}
+
+// The queue (`/queue`) and fallback playlist (`/fallback`) work the same way,
+// each needing the permission of the same name
+for (const list of ['queue', 'fallback']) {
+  app.get(`${REST_API}/${list}`, (req, res) => {
+    const room = getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!canViewRoom(room, req)) {
+      return res.status(403).json(privateRoomError(room));
+    }
+    if (list === 'queue') queueSync.flush(room);
+    res.json(listPayload(room, list));
+  });
+  
+  // Add a song: { song, afterId?, baseVersion? }. Without `afterId` it goes
+  // to the end, `afterId: null` puts it at the top.
+  app.post(`${REST_API}/${list}`, requireAdmin(list), (req, res) => {
+    const { song, afterId, baseVersion } = req.body || {};
+    sendListOp(req, res, list, { type: 'insert', song, afterId, baseVersion });
+  });
+  
+  // Move a song behind another: { afterId, baseVersion? }
+  app.post(`${REST_API}/${list}/:songId/move`, requireAdmin(list), (req, res) => {
+    const { afterId, baseVersion } = req.body || {};
+    sendListOp(req, res, list, { type: 'move', songId: req.params.songId, afterId, baseVersion });
+  });
+  
+  app.delete(`${REST_API}/${list}/:songId`, requireAdmin(list), (req, res) => {
+    sendListOp(req, res, list, { type: 'remove', songId: req.params.songId, baseVersion: req.query.baseVersion });
+  });
   
-  res.json(room);
+  // Play a song right away: { baseVersion? }. Queue songs leave the queue,
+  // fallback songs stay in the playlist.
+  app.post(`${REST_API}/${list}/:songId/play`, requireAdmin(list, 'playback'), (req, res) => {
+    const { baseVersion } = req.body || {};
+    sendListOp(req, res, list, { type: 'play', songId: req.params.songId, baseVersion });
+  });
+}
+
+app.post(`${REST_API}/playback/skip`, requireAdmin('playback'), (req, res) => {
+  playback.advance(req.room, 'skipped');
+  res.json({ currentSong: req.room.currentSong, isPlayingFallback: req.room.isPlayingFallback });
 });
 
+for (const action of ['play', 'pause']) {
+  app.post(`${REST_API}/playback/${action}`, requireAdmin('playback'), (req, res) => {
+    if (!req.room.currentSong) {
+      return res.status(409).json({ error: 'Nothing is playing.', type: 'nothing_playing' });
+    }
+    playback.setPlaying(req.room, action === 'play');
+    res.json({ isPlaying: req.room.isPlaying, position: playback.getPosition(req.room) });
+  });
+}
+
 // Socket.IO handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
-  
-  // Join a room
-  socket.on('join-room', (roomId) => {
+
+  // Handlers destructure their payload, so an event sent without one (or
+  // with null) would throw and take the server down. Give them an empty one.
+  socket.use((packet, next) => {
+    if (packet[1] == null) packet[1] = {};
+    next();
+  });
+
+  // Join a room (admins pass their token so they aren't counted as guests)
+  socket.on('join-room', (payload) => {
+    const { roomId, adminToken, guestToken, accessKey } = typeof payload === 'string' ? { roomId: payload } : (payload || {});
     const room = getRoom(roomId);
     if (room) {
+      const admin = resolveAdmin(room, adminToken);
+      if (adminToken && !admin) {
+        // A host whose session ran out (or whose token was rotated or
+        // revoked) has to sign in again rather than quietly become a guest
+        const reason = checkAdminSession(room, adminToken) === 'expired' ? 'expired' : 'invalid';
+        socket.emit('admin-session-ended', { reason });
+        socket.disconnect(true);
+        return;
+      }
+      if (!admin && !hasAccess(room, accessKey)) {
+        socket.emit('room-access-denied', privateRoomError(room));
+        return;
+      }
+
+      socket.isAdmin = Boolean(admin);
+      socket.adminRole = admin ? admin.role : null;
+      
+      if (admin) {
+        // Co-hosts keep acting as their guest identity (chat, requests)
+        socket.guestId = admin.guestId;
+        socket.emit('admin-identity', getAdminIdentity(room, admin));
+      } else {
+        // Guests get their identity back from their token, or a new one
+        const guest = resolveGuest(room, guestToken);
+        if (guest.banned) {
+          socket.emit('removed-from-room', { reason: 'banned' });
+          return;
+        }
+        socket.guestId = guest.id;
+        socket.emit('guest-identity', toIdentity(guest));
+        const cohost = getCohost(room, guest.id);
+        if (cohost) {
+          socket.emit('cohost-granted', { adminToken: cohost.token, permissions: cohost.permissions });
+        }
+        if (guest.token !== guestToken) saveRoom(room);
+      }
+      
       socket.join(roomId);
       socket.roomId = roomId;
+      room.lastActivityAt = Date.now();
       console.log(`User ${socket.id} joined room ${roomId}`);
+      emitRequests(room, [socket]);
+      socket.emit('chat-history', getChatHistory(room));
       
-      // Send current room state
-      socket.emit('room-state', {
-        queue: room.queue,
-        currentSong: room.currentSong,
-        isPlaying: room.isPlaying
-      });
+      presence.join(roomId, socket.id, { guestId: socket.guestId, isHost: socket.adminRole === 'host' });
+      socket.emit('room-state', getRoomSnapshot(room, socket));
+    } else {
+      // Closed or expired while this socket was away
+      socket.emit('room-closed', { reason: 'not_found' });
     }
   });
   
   // Add song to queue
-  socket.on('add-song', ({ roomId, song }) => {
-    const room = getRoom(roomId);
-    if (room) {
+  socket.on('add-song', ({ roomId, song, adminToken }) => {
+    const room = getGuestRoom(socket, roomId);
+    if (room && typeof song?.videoId === 'string') {
+      // Admins who manage the queue aren't subject to guest request limits.
+      // Guests (co-hosts too) are credited under the identity they joined
+      // with, whatever the payload says.
+      const admin = resolveAdmin(room, adminToken);
+      const managesQueue = can(admin, 'queue');
+      const guest = getGuest(room, socket.guestId);
+      if (!managesQueue && !guest) {
+        socket.emit('add-song-error', { error: 'Please rejoin the room to request songs.', type: 'unknown_guest', videoId: song.videoId });
+        return;
+      }
+      if (!managesQueue && guest.muted) {
+        socket.emit('add-song-error', { error: 'The host has paused your requests.', type: 'muted', videoId: song.videoId });
+        return;
+      }
+      
       const songWithId = {
-        ...song,
+        ...songDetails(song),
+        guestId: guest ? guest.id : null,
         id: nanoid(10),
         addedAt: new Date(),
-        addedBy: song.addedBy || 'Guest'
+        addedBy: guest ? (guest.name || 'Guest') : (song.addedBy || room.hostName)
       };
+      
+      // The content filter applies to everyone, the host included
+      const blockReason = getBlockReason(songWithId, getSettings(room).contentFilter);
+      if (blockReason) {
+        socket.emit('add-song-error', { error: blockReason, type: 'blocked', videoId: song.videoId });
+        return;
+      }
+      
+      const duplicate = managesQueue ? null : checkDuplicate(room, songWithId);
+      
+      // Same song already queued: credit this guest on the existing entry
+      if (duplicate && duplicate.merge) {
+        const existing = duplicate.merge;
+        const guestKey = requesterKey(songWithId);
+        if (!existing.alsoRequestedBy) existing.alsoRequestedBy = [];
+        const alreadyCredited = requesterKey(existing) === guestKey ||
+          existing.alsoRequestedBy.some(r => (r.guestId || r.name) === guestKey);
+        const position = room.queue.indexOf(existing) + 1;
+        if (alreadyCredited) {
+          socket.emit('add-song-error', {
+            error: `You already requested that song, it's in the queue at #${position}.`,
+            type: 'duplicate_queued',
+            position,
+            videoId: existing.videoId
+          });
+          return;
+        }
+        
+        existing.alsoRequestedBy.push({ guestId: songWithId.guestId, name: songWithId.addedBy });
+        emitQueue(room);
+        socket.emit('song-added', { videoId: existing.videoId, songId: existing.id, merged: true, position });
+        saveRoom(room);
+        return;
+      }
+      
+      const rejection = checkDurationPolicy(room, songWithId) ||
+        duplicate ||
+        (managesQueue ? null : checkRequestLimits(room, songWithId));
+      if (rejection) {
+        socket.emit('add-song-error', { ...rejection, videoId: song.videoId });
+        return;
+      }
+      
+      if (!room.lastRequestAt) room.lastRequestAt = {};
+      room.lastRequestAt[requesterKey(songWithId)] = Date.now();
+      
+      // Approval mode: guest requests wait for the host
+      if (!managesQueue && getSettings(room).approval.required) {
+        getPendingRequests(room).push(songWithId);
+        emitRequests(room);
+        socket.emit('song-added', { videoId: songWithId.videoId, songId: songWithId.id, pendingApproval: true });
+        console.log(`Song awaiting approval in room ${roomId}:`, song.title);
+        saveRoom(room);
+        return;
+      }
+      
       room.queue.push(songWithId);
+      assignFairRound(room.queue, songWithId);
+      sortQueue(room);
       
-      io.to(roomId).emit('queue-updated', room.queue);
+      emitQueue(room);
+      socket.emit('song-added', { videoId: songWithId.videoId, songId: songWithId.id });
+      postSystemMessage(room, `${songWithId.addedBy} added ${songWithId.title}`);
       console.log(`Song added to room ${roomId}:`, song.title);
+      saveRoom(room);
     }
   });
   
-  // Admin: Remove song from queue
-  socket.on('remove-song', ({ roomId, songId, adminToken }) => {
+  // Admin: Approve or reject requests waiting for approval. `action` is
+  // 'approve', 'approve-top' (straight to the front of the queue) or 'reject'
+  // with an optional reason for the guest. Takes several IDs for bulk actions.
+  socket.on('review-requests', ({ roomId, songIds, action, reason, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.queue = room.queue.filter(s => s.id !== songId);
-      io.to(roomId).emit('queue-updated', room.queue);
+    if (!room || !hasPermission(room, adminToken, 'queue')) return;
+    if (!['approve', 'approve-top', 'reject'].includes(action) || !Array.isArray(songIds)) return;
+    
+    const reviewed = songIds.map(id => takePendingRequest(room, id)).filter(Boolean);
+    if (reviewed.length === 0) return;
+    
+    const rejectReason = typeof reason === 'string' ? reason.trim().slice(0, 200) || null : null;
+    if (action === 'reject') {
+      reviewed.forEach(song => recordRejection(room, song, rejectReason));
+    } else if (action === 'approve-top') {
+      // Pinned so votes or the rotation don't push them back down
+      const pin = getSettings(room).queue.mode !== 'fifo';
+      reviewed.forEach(song => { song.pinned = pin; });
+      room.queue.unshift(...reviewed);
+    } else {
+      for (const song of reviewed) {
+        room.queue.push(song);
+        assignFairRound(room.queue, song);
+      }
     }
+    
+    if (action !== 'reject') {
+      reviewed.forEach(song => postSystemMessage(room, `${song.addedBy} added ${song.title}`));
+    }
+    
+    for (const song of reviewed) {
+      const status = action === 'reject' ? 'rejected' : 'approved';
+      for (const guestSocket of getGuestSockets(roomId, song.guestId)) {
+        guestSocket.emit('request-reviewed', {
+          songId: song.id,
+          videoId: song.videoId,
+          title: song.title,
+          status,
+          reason: status === 'rejected' ? rejectReason : null
+        });
+      }
+    }
+    
+    if (action !== 'reject') {
+      sortQueue(room);
+      emitQueue(room);
+    }
+    emitRequests(room);
+    saveRoom(room);
   });
   
-  // Admin: Reorder queue
-  socket.on('reorder-queue', ({ roomId, queue, adminToken }) => {
-    const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.queue = queue;
-      io.to(roomId).emit('queue-updated', room.queue);
+  // Guest: Withdraw a song they requested. If they were only credited on
+  // someone else's request, just their credit is removed.
+  socket.on('withdraw-song', ({ roomId, songId }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest) return;
+    
+    // Still waiting for approval
+    const pendingSong = getPendingRequests(room).find(s => s.id === songId);
+    if (pendingSong) {
+      if (pendingSong.guestId !== guest.id) {
+        socket.emit('request-error', { error: 'You can only withdraw your own requests.', type: 'not_owner', songId });
+        return;
+      }
+      takePendingRequest(room, songId);
+      emitRequests(room);
+      saveRoom(room);
+      return;
+    }
+    
+    const song = room.queue.find(s => s.id === songId);
+    if (!song) {
+      socket.emit('request-error', { error: 'That song has already started or left the queue.', type: 'not_in_queue', songId });
+      return;
     }
+    
+    if (song.guestId === guest.id) {
+      room.queue = room.queue.filter(s => s !== song);
+    } else if ((song.alsoRequestedBy || []).some(r => r.guestId === guest.id)) {
+      song.alsoRequestedBy = song.alsoRequestedBy.filter(r => r.guestId !== guest.id);
+    } else {
+      socket.emit('request-error', { error: 'You can only withdraw your own requests.', type: 'not_owner', songId });
+      return;
+    }
+    
+    emitQueue(room);
+    saveRoom(room);
   });
   
-  // Admin: Play next song
-  socket.on('play-next', ({ roomId, adminToken }) => {
+  // Guest: Swap one of their pending requests for a different song, keeping
+  // its place in the queue. The new song goes through the same content,
+  // length and duplicate checks as a fresh request; quotas don't change.
+  socket.on('swap-song', ({ roomId, songId, song }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest || typeof song?.videoId !== 'string') return;
+    
+    const index = room.queue.findIndex(s => s.id === songId);
+    const existing = room.queue[index];
+    const fail = (error, type) => socket.emit('request-error', { error, type, songId, videoId: song.videoId });
+    
+    if (guest.muted) {
+      return fail('The host has paused your requests.', 'muted');
+    }
+    if (!existing) {
+      return fail('That song has already started or left the queue.', 'not_in_queue');
+    }
+    if (existing.guestId !== guest.id) {
+      return fail('You can only change your own requests.', 'not_owner');
+    }
+    if (existing.alsoRequestedBy?.length) {
+      return fail('Other guests asked for this song too, so it can\'t be swapped.', 'shared_request');
+    }
+    // The swap would lose the song's votes and with them its place
+    if (getSettings(room).queue.mode === 'democratic') {
+      return fail('Songs can\'t be swapped while the queue is ordered by votes.', 'swap_unavailable');
+    }
+    
+    const replacement = {
+      ...existing,
+      ...songDetails(song),
+      id: nanoid(10),
+      votes: {},
+      score: 0
+    };
+    
+    // Merging makes no sense for a swap, so any queued copy is a rejection
+    const blockReason = getBlockReason(replacement, getSettings(room).contentFilter);
+    const duplicate = checkDuplicate(room, replacement);
+    const rejection = (blockReason && { error: blockReason, type: 'blocked' }) ||
+      checkDurationPolicy(room, replacement) ||
+      (duplicate?.merge
+        ? { error: `That song is already in the queue at #${room.queue.indexOf(duplicate.merge) + 1}.`, type: 'duplicate_queued' }
+        : duplicate);
+    if (rejection) {
+      socket.emit('request-error', { ...rejection, songId, videoId: song.videoId });
+      return;
+    }
+    
+    room.queue[index] = replacement;
+    sortQueue(room);
+    emitQueue(room);
+    socket.emit('song-swapped', { songId, newSongId: replacement.id, videoId: replacement.videoId });
+    saveRoom(room);
+  });
+  
+  // Admin: Move, insert, remove or play a queued song (see queueOps.js)
+  socket.on('queue-op', ({ roomId, op, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      if (room.queue.length > 0) {
-        room.currentSong = room.queue.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = false;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: false });
-        io.to(roomId).emit('queue-updated', room.queue);
-      } else if (room.fallbackPlaylist.length > 0) {
-        room.currentSong = room.fallbackPlaylist.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = true;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: true });
-        io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
-      }
+    const admin = room && resolveAdmin(room, adminToken);
+    if (admin && canApplyListOp(admin, 'queue', op)) {
+      handleListOp(socket, room, 'queue', op, admin);
     }
   });
   
-  // Admin: Set current song
-  socket.on('set-current-song', ({ roomId, song, adminToken }) => {
+  // Missed a queue delta: send the whole queue again
+  socket.on('request-queue-sync', ({ roomId }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.currentSong = song;
-      room.currentSongStartedAt = new Date();
-      room.isPlaying = true;
-      room.isPlayingFallback = false;
-      io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: false });
+    if (room && socket.rooms.has(room.id)) {
+      queueSync.sendSnapshot(socket, room);
     }
   });
   
-  // Admin: Add song to fallback playlist
-  socket.on('add-to-fallback', ({ roomId, song, adminToken }) => {
+  // Admin: Pin a song to its current slot (or release it back to the votes)
+  socket.on('pin-song', ({ roomId, songId, pinned, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      const songWithId = {
-        ...song,
-        id: nanoid(10),
-        addedAt: new Date()
-      };
-      room.fallbackPlaylist.push(songWithId);
-      io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
+    const song = room && room.queue.find(s => s.id === songId);
+    if (song && hasPermission(room, adminToken, 'queue')) {
+      song.pinned = Boolean(pinned);
+      sortQueue(room);
+      emitQueue(room);
+      saveRoom(room);
     }
   });
   
-  // Admin: Remove song from fallback playlist
-  socket.on('remove-from-fallback', ({ roomId, songId, adminToken }) => {
+  // Guest: Up- or downvote a queued song (democratic mode only).
+  // `vote` is 1, -1 or 0 to take the vote back.
+  socket.on('vote-song', ({ roomId, songId, vote }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest || guest.banned || getSettings(room).queue.mode !== 'democratic') return;
+    
+    const song = room.queue.find(s => s.id === songId);
+    if (!song || ![1, -1, 0].includes(vote)) return;
+    
+    castVote(song, guest.id, vote);
+    sortQueue(room);
+    emitQueue(room);
+    saveRoom(room);
+  });
+  
+  // Admin: Play next song
+  socket.on('play-next', ({ roomId, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.fallbackPlaylist = room.fallbackPlaylist.filter(s => s.id !== songId);
-      io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
+    if (room && hasPermission(room, adminToken, 'playback')) {
+      playback.advance(room, 'next');
     }
   });
   
-  // Admin: Reorder fallback playlist
-  socket.on('reorder-fallback', ({ roomId, playlist, adminToken }) => {
+  // Admin: Move, insert, remove or play a fallback song (see queueOps.js)
+  socket.on('fallback-op', ({ roomId, op, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.fallbackPlaylist = playlist;
-      io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
+    const admin = room && resolveAdmin(room, adminToken);
+    if (admin && canApplyListOp(admin, 'fallback', op)) {
+      handleListOp(socket, room, 'fallback', op, admin);
     }
   });
   
   // Admin: Toggle play/pause
   socket.on('toggle-play', ({ roomId, isPlaying, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      room.isPlaying = isPlaying;
-      io.to(roomId).emit('play-state-changed', isPlaying);
+    if (room && hasPermission(room, adminToken, 'playback')) {
+      playback.setPlaying(room, Boolean(isPlaying));
+    }
+  });
+  
+  // Admin: Progress heartbeat from the YouTube player
+  socket.on('player-progress', ({ roomId, songId, position, duration, adminToken }) => {
+    const room = getRoom(roomId);
+    if (room && hasPermission(room, adminToken, 'playback')) {
+      playback.reportProgress(room, { songId, position, duration });
     }
   });
   
   // Admin: Song ended, auto-play next (or fallback)
-  socket.on('song-ended', ({ roomId, adminToken }) => {
+  socket.on('song-ended', ({ roomId, songId, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      if (room.queue.length > 0) {
-        // Play from guest queue
-        room.currentSong = room.queue.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = false;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: false });
-        io.to(roomId).emit('queue-updated', room.queue);
-      } else if (room.fallbackPlaylist.length > 0) {
-        // Play from fallback playlist
-        room.currentSong = room.fallbackPlaylist.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = true;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: true });
-        io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
-      } else {
-        room.currentSong = null;
-        room.currentSongStartedAt = null;
-        room.isPlaying = false;
-        room.isPlayingFallback = false;
-        io.to(roomId).emit('now-playing', { song: null, startedAt: null, isPlayingFallback: false });
-      }
+    if (room && hasPermission(room, adminToken, 'playback')) {
+      playback.songEnded(room, songId);
     }
   });
   
   // Admin: Skip current song
   socket.on('skip-song', ({ roomId, adminToken }) => {
     const room = getRoom(roomId);
-    if (room && room.adminToken === adminToken) {
-      if (room.queue.length > 0) {
-        room.currentSong = room.queue.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = false;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: false });
-        io.to(roomId).emit('queue-updated', room.queue);
-      } else if (room.fallbackPlaylist.length > 0) {
-        room.currentSong = room.fallbackPlaylist.shift();
-        room.currentSongStartedAt = new Date();
-        room.isPlaying = true;
-        room.isPlayingFallback = true;
-        io.to(roomId).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: true });
-        io.to(roomId).emit('fallback-updated', room.fallbackPlaylist);
+    if (room && hasPermission(room, adminToken, 'playback')) {
+      playback.advance(room, 'skipped');
+    }
+  });
+  
+  // Guest: Vote to skip the current song (one vote per guest per song)
+  socket.on('vote-skip', ({ roomId, songId }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest || guest.banned || !room.currentSong || !getSettings(room).voteSkip.enabled) return;
+    if (songId && room.currentSong.id !== songId) return;
+    
+    if (!room.skipVotes || room.skipVotes.songId !== room.currentSong.id) {
+      room.skipVotes = { songId: room.currentSong.id, voters: [] };
+    }
+    if (room.skipVotes.voters.includes(guest.id)) return;
+    
+    room.skipVotes.voters.push(guest.id);
+    checkSkipVotes(room);
+    saveRoom(room);
+  });
+  
+  // Guest: React to the song that's playing
+  socket.on('react', ({ roomId, songId, emoji }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest || !room.currentSong || room.currentSong.id !== songId) return;
+    
+    if (addReaction(room.currentSong, guest.id, emoji)) {
+      io.to(roomId).emit('reaction', { songId, emoji, name: guest.name, reactions: room.currentSong.reactions });
+      saveRoom(room);
+    }
+  });
+  
+  // Guest or host: Send a chat message. Guests are rate limited and can be
+  // muted by the host.
+  socket.on('send-chat', ({ roomId, text, adminToken }) => {
+    const room = getGuestRoom(socket, roomId);
+    if (!room) return;
+    
+    // Admins (co-hosts included) aren't rate limited and can't be muted
+    const admin = resolveAdmin(room, adminToken);
+    const guest = getGuest(room, socket.guestId);
+    if (!admin && !guest) return;
+    
+    if (!admin && guest.chatMuted) {
+      socket.emit('chat-error', { error: 'The host has muted you in the chat.', type: 'muted' });
+      return;
+    }
+    
+    const message = sanitizeMessage(text);
+    if (!message) return;
+    
+    if (!admin) {
+      const retryAfter = checkChatRateLimit(roomId, guest.id);
+      if (retryAfter > 0) {
+        socket.emit('chat-error', {
+          error: `You're sending messages too fast. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+          type: 'rate_limited',
+          retryAfter
+        });
+        return;
+      }
+    }
+    
+    io.to(roomId).emit('chat-message', addUserMessage(room, {
+      guestId: guest ? guest.id : null,
+      name: guest ? guest.name : room.hostName,
+      isHost: admin?.role === 'host',
+      isCohost: admin?.role === 'cohost',
+      text: message
+    }));
+    saveRoom(room);
+  });
+  
+  // Admin: Delete a chat message
+  socket.on('delete-chat', ({ roomId, messageId, adminToken }) => {
+    const room = getRoom(roomId);
+    if (room && hasPermission(room, adminToken, 'moderation') && deleteMessage(room, messageId)) {
+      io.to(roomId).emit('chat-deleted', { messageId });
+      saveRoom(room);
+    }
+  });
+  
+  // Guest: Change display name (also updates their queued songs)
+  socket.on('set-guest-name', ({ roomId, name }) => {
+    const room = getGuestRoom(socket, roomId);
+    const guest = room && getGuest(room, socket.guestId);
+    if (!guest) return;
+    
+    if (!renameGuest(room, guest, name)) {
+      socket.emit('guest-name-error', { error: 'Please enter a name.', type: 'invalid_name' });
+      return;
+    }
+    
+    socket.emit('guest-identity', toIdentity(guest));
+    emitQueue(room);
+    if (getCohost(room, guest.id)) {
+      emitCohosts(room);
+    } else {
+      emitGuests(room);
+    }
+    emitPresence(room);
+    saveRoom(room);
+  });
+  
+  // Admin: Kick, mute or ban a guest. With `purge`, their queued songs are
+  // removed too.
+  socket.on('moderate-guest', ({ roomId, guestId, action, purge, adminToken }) => {
+    const room = getRoom(roomId);
+    if (!room || !hasPermission(room, adminToken, 'moderation') || !MODERATION_ACTIONS.includes(action)) return;
+    
+    const guest = getGuest(room, guestId);
+    if (!guest) return;
+    
+    // Only the host can moderate co-hosts, and a ban ends their role
+    if (getCohost(room, guest.id) && !isHost(room, adminToken)) return;
+    if (action === 'ban' && revokeCohost(room, guest.id)) {
+      emitCohosts(room);
+    }
+    
+    moderateGuest(guest, action);
+    const guestSockets = getGuestSockets(roomId, guest.id);
+    if (action === 'kick' || action === 'ban') {
+      for (const guestSocket of guestSockets) {
+        guestSocket.emit('removed-from-room', { reason: action === 'ban' ? 'banned' : 'kicked' });
+        presence.leave(guestSocket.id, { immediate: true });
+        guestSocket.disconnect(true);
+      }
+    } else {
+      for (const guestSocket of guestSockets) {
+        guestSocket.emit('guest-identity', toIdentity(guest));
+      }
+    }
+    
+    if (purge) {
+      purgePendingRequests(room, guest.id);
+      emitRequests(room);
+      purgeGuestSongs(room, guest.id);
+      emitQueue(room);
+    }
+    
+    console.log(`Moderation in room ${roomId}: ${action} guest ${guest.id}`);
+    emitGuests(room);
+    saveRoom(room);
+  });
+  
+  // Host: Make a guest a co-host, or change their permissions
+  socket.on('set-cohost', ({ roomId, guestId, permissions, adminToken }) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(room, adminToken)) return;
+    
+    const guest = getGuest(room, guestId);
+    if (!guest || guest.banned) return;
+    
+    const cohost = promoteGuest(room, guest, permissions);
+    for (const guestSocket of getGuestSockets(roomId, guest.id)) {
+      if (guestSocket.isAdmin) {
+        guestSocket.emit('admin-identity', getAdminIdentity(room, resolveAdmin(room, cohost.token)));
       } else {
-        room.currentSong = null;
-        room.currentSongStartedAt = null;
-        room.isPlaying = false;
-        room.isPlayingFallback = false;
-        io.to(roomId).emit('now-playing', { song: null, startedAt: null, isPlayingFallback: false });
+        guestSocket.emit('cohost-granted', { adminToken: cohost.token, permissions: cohost.permissions });
+      }
+    }
+    
+    console.log(`Co-host in room ${roomId}: guest ${guest.id} can manage ${cohost.permissions.join(', ') || 'nothing'}`);
+    emitCohosts(room);
+    emitPresence(room);
+    saveRoom(room);
+  });
+  
+  // Host: Take a co-host's role away. Their admin dashboards are closed;
+  // they stay in the room as a guest.
+  socket.on('revoke-cohost', ({ roomId, guestId, adminToken }) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(room, adminToken) || !revokeCohost(room, guestId)) return;
+    
+    for (const guestSocket of getGuestSockets(roomId, guestId)) {
+      guestSocket.emit('cohost-revoked');
+      if (guestSocket.isAdmin) {
+        guestSocket.isAdmin = false;
+        guestSocket.adminRole = null;
+        presence.leave(guestSocket.id, { immediate: true });
+        guestSocket.disconnect(true);
       }
     }
+    
+    console.log(`Co-host in room ${roomId}: revoked guest ${guestId}`);
+    emitCohosts(room);
+    emitPresence(room);
+    saveRoom(room);
+  });
+  
+  // Host: Replace the room's admin token. Every other host session (other
+  // devices, password sign-ins, anyone the old token leaked to) is signed
+  // out; co-hosts keep their own tokens.
+  socket.on('rotate-admin-token', ({ roomId, adminToken }) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(room, adminToken)) return;
+    
+    const newToken = rotateAdminToken(room);
+    for (const roomSocket of getRoomSockets(roomId)) {
+      if (roomSocket === socket || roomSocket.adminRole !== 'host') continue;
+      roomSocket.emit('admin-session-ended', { reason: 'rotated' });
+      roomSocket.isAdmin = false;
+      roomSocket.adminRole = null;
+      presence.leave(roomSocket.id, { immediate: true });
+      roomSocket.disconnect(true);
+    }
+    
+    socket.emit('admin-token-rotated', { adminToken: newToken });
+    console.log(`Admin token rotated in room ${roomId}`);
+    saveRoom(room);
+  });
+  
+  // Host: New invite link for a private room. Old links and QR codes stop
+  // working; guests already in the room are given the new key.
+  socket.on('reset-invite-link', ({ roomId, adminToken }) => {
+    const room = getRoom(roomId);
+    if (!room || !isHost(room, adminToken)) return;
+    
+    resetAccessKey(room);
+    emitAccessKey(room);
+    saveRoom(room);
+  });
+  
+  // Host: Update room settings
+  socket.on('update-settings', ({ roomId, settings, adminToken }) => {
+    const room = getRoom(roomId);
+    if (room && isHost(room, adminToken)) {
+      const previous = getSettings(room);
+      const newSettings = applySettings(room, settings);
+      if (newSettings.queue.mode === 'fair' && previous.queue.mode !== 'fair') {
+        resetFairRounds(room.queue);
+      }
+      // Going private shouldn't lock out guests who are already here
+      if (newSettings.privacy.private && !previous.privacy.private) {
+        emitAccessKey(room);
+      }
+      
+      emitSettings(room);
+      checkSkipVotes(room);
+      sortQueue(room);
+      emitQueue(room);
+      saveRoom(room);
+    }
+  });
+  
+  // Host: End the party and close the room for everyone
+  socket.on('close-room', ({ roomId, adminToken }) => {
+    const room = getRoom(roomId);
+    if (room && isHost(room, adminToken)) {
+      closeRoom(room, 'ended');
+    }
   });
   
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    
+    // Presence updates the guest list and skip tally once the grace period
+    // for reconnecting is over
+    presence.leave(socket.id);
   });
 });
 
@@ -609,5 +1838,17 @@ if (process.env.NODE_ENV === 'production') {
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  console.log(`Server running on port ${PORT} (${roomStore.name} room store)`);
 });
+
+setInterval(cleanupIdleRooms, ROOM_CLEANUP_INTERVAL).unref();
+setInterval(pruneFailedAttempts, ROOM_CLEANUP_INTERVAL).unref();
+
+// Make sure pending room writes hit the disk before shutting down
+function shutdown() {
+  roomStore.flush();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
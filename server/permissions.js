@@ -0,0 +1,87 @@
+import { nanoid } from 'nanoid';
+import { getGuest } from './guests.js';
+import { isHostToken } from './auth.js';
+
+// Co-hosts and what each admin may do.
+//
+// The host (whoever holds the room's adminToken, or an admin session signed
+// with it) can do everything. They can promote guests to co-hosts, each with
+// their own token and a subset of PERMISSIONS. Revoking a co-host makes their
+// token worthless straight away. Room settings, co-hosts and closing the room
+// stay with the host.
+//
+// Co-hosts are stored on `room.cohosts`, keyed by guest ID, so they keep
+// their guest identity (name, requests, chat) while they help out.
+
+export const PERMISSIONS = ['queue', 'fallback', 'playback', 'moderation'];
+
+// What a new co-host may do until the host changes it
+const DEFAULT_COHOST_PERMISSIONS = ['queue'];
+
+export function getCohosts(room) {
+  if (!room.cohosts) room.cohosts = {};
+  return room.cohosts;
+}
+
+export function getCohost(room, guestId) {
+  return (guestId && getCohosts(room)[guestId]) || null;
+}
+
+export function sanitizePermissions(permissions) {
+  return Array.isArray(permissions) ? PERMISSIONS.filter(permission => permissions.includes(permission)) : [];
+}
+
+// Who a token belongs to: `{ role: 'host', permissions }`, `{ role: 'cohost',
+// guestId, permissions }`, or null if it isn't an admin token for this room
+export function resolveAdmin(room, token) {
+  if (!room || !token || typeof token !== 'string') return null;
+  if (isHostToken(room, token)) {
+    return { role: 'host', guestId: null, permissions: [...PERMISSIONS] };
+  }
+  const cohost = Object.values(getCohosts(room)).find(c => c.token === token);
+  return cohost ? { role: 'cohost', guestId: cohost.guestId, permissions: cohost.permissions } : null;
+}
+
+export function can(admin, permission) {
+  return Boolean(admin) && admin.permissions.includes(permission);
+}
+
+export function hasPermission(room, token, permission) {
+  return can(resolveAdmin(room, token), permission);
+}
+
+export function isHost(room, token) {
+  return resolveAdmin(room, token)?.role === 'host';
+}
+
+// Make a guest a co-host, or change what an existing co-host may do.
+// Existing co-hosts keep their token.
+export function promoteGuest(room, guest, permissions) {
+  const cohosts = getCohosts(room);
+  const existing = cohosts[guest.id];
+  cohosts[guest.id] = {
+    guestId: guest.id,
+    token: existing?.token || nanoid(16),
+    permissions: sanitizePermissions(permissions || existing?.permissions || DEFAULT_COHOST_PERMISSIONS),
+    promotedAt: existing?.promotedAt || new Date()
+  };
+  return cohosts[guest.id];
+}
+
+// Returns true if the guest was a co-host
+export function revokeCohost(room, guestId) {
+  const cohosts = getCohosts(room);
+  if (!cohosts[guestId]) return false;
+  delete cohosts[guestId];
+  return true;
+}
+
+// Co-hosts for the host's dashboard (without tokens)
+export function listCohosts(room) {
+  return Object.values(getCohosts(room)).map(cohost => ({
+    guestId: cohost.guestId,
+    name: getGuest(room, cohost.guestId)?.name || null,
+    permissions: cohost.permissions,
+    promotedAt: cohost.promotedAt
+  }));
+}
@@ -0,0 +1,233 @@
+import { nanoid } from 'nanoid';
+import { parseDuration } from './duration.js';
+import { getReactionCounts } from './reactions.js';
+
+// Extra time to wait past a song's expected end before the watchdog steps in
+const WATCHDOG_GRACE = 15 * 1000; // 15 seconds
+
+// Only broadcast player position corrections larger than this (seconds)
+const SYNC_DRIFT_THRESHOLD = 3;
+
+// Keep at most this many played songs per room
+const MAX_HISTORY = 500;
+
+// Advance reasons that mean the song was cut short
+const SKIP_REASONS = ['skipped', 'replaced'];
+
+// Server-side playback engine.
+//
+// The engine owns what is playing in each room: the current song, its
+// position, pause state and what comes next. The admin's YouTube player
+// reports progress and end-of-song, but if it goes silent (laptop asleep,
+// tab closed) a per-room watchdog advances the room once the current song
+// should have finished, so the queue and guests' ETAs keep moving.
+//
+// Position is tracked through `currentSongStartedAt`, which is kept as the
+// virtual start time (now - position) while playing. While paused the
+// position is frozen in `pausedPosition`.
+//
+// Every song that stops playing is appended to `room.history`, and
+// `onSongStart(room, song)` is called whenever a new song starts. Taking the
+// next song off the queue or fallback playlist is reported through
+// `onQueueChange(room)` / `onFallbackChange(room)`, which broadcast it.
+export function createPlaybackEngine({ io, saveRoom, defaultDuration, onSongStart = () => {}, onQueueChange, onFallbackChange }) {
+  const watchdogs = new Map();
+
+  // Current playback position of a room in seconds
+  function getPosition(room) {
+    if (!room.currentSong) return 0;
+    if (!room.isPlaying && room.pausedPosition != null) {
+      return room.pausedPosition;
+    }
+    if (!room.currentSongStartedAt) return 0;
+    return Math.max(0, (Date.now() - new Date(room.currentSongStartedAt).getTime()) / 1000);
+  }
+
+  // Best known length of a song in seconds
+  function getSongDuration(song) {
+    return song.durationSeconds || parseDuration(song.duration) || defaultDuration;
+  }
+
+  function clearWatchdog(roomId) {
+    clearTimeout(watchdogs.get(roomId));
+    watchdogs.delete(roomId);
+  }
+
+  function scheduleWatchdog(room) {
+    clearWatchdog(room.id);
+    if (!room.currentSong || !room.isPlaying) return;
+
+    const songId = room.currentSong.id;
+    const remaining = Math.max(0, getSongDuration(room.currentSong) - getPosition(room));
+    const timer = setTimeout(() => {
+      watchdogs.delete(room.id);
+      if (room.currentSong && room.currentSong.id === songId && room.isPlaying) {
+        console.log(`Player in room ${room.id} went silent, advancing to next song`);
+        advance(room, 'watchdog');
+      }
+    }, remaining * 1000 + WATCHDOG_GRACE);
+    timer.unref();
+    watchdogs.set(room.id, timer);
+  }
+
+  function emitSync(room) {
+    io.to(room.id).emit('playback-sync', {
+      songId: room.currentSong ? room.currentSong.id : null,
+      startedAt: room.currentSongStartedAt,
+      position: getPosition(room),
+      isPlaying: room.isPlaying
+    });
+  }
+
+  // Record the current song in the room history
+  function finishCurrent(room, reason) {
+    const song = room.currentSong;
+    if (!song) return;
+
+    const entry = {
+      id: song.id,
+      videoId: song.videoId,
+      title: song.title,
+      thumbnail: song.thumbnail,
+      channel: song.channel,
+      duration: song.duration,
+      addedBy: room.isPlayingFallback ? null : song.addedBy,
+      alsoRequestedBy: (song.alsoRequestedBy || []).map(r => r.name),
+      startedAt: room.currentSongPlayedAt || room.currentSongStartedAt,
+      endedAt: new Date(),
+      skipped: SKIP_REASONS.includes(reason),
+      fromFallback: room.isPlayingFallback,
+      reactions: getReactionCounts(song)
+    };
+
+    if (!room.history) room.history = [];
+    room.history.push(entry);
+    if (room.history.length > MAX_HISTORY) {
+      room.history.splice(0, room.history.length - MAX_HISTORY);
+    }
+    io.to(room.id).emit('history-added', entry);
+  }
+
+  function startSong(room, song, isFallback) {
+    room.currentSong = song.id ? song : { ...song, id: nanoid(10) };
+    room.currentSongStartedAt = new Date();
+    room.currentSongPlayedAt = room.currentSongStartedAt;
+    room.pausedPosition = null;
+    room.isPlaying = true;
+    room.isPlayingFallback = isFallback;
+    io.to(room.id).emit('now-playing', { song: room.currentSong, startedAt: room.currentSongStartedAt, isPlayingFallback: isFallback });
+    scheduleWatchdog(room);
+    onSongStart(room, room.currentSong);
+  }
+
+  // Play a specific song right away, cutting the current one short
+  function playSong(room, song, { isFallback = false } = {}) {
+    if (!song) return;
+    finishCurrent(room, 'replaced');
+    startSong(room, song, isFallback);
+  }
+
+  function stop(room) {
+    room.currentSong = null;
+    room.currentSongStartedAt = null;
+    room.currentSongPlayedAt = null;
+    room.pausedPosition = null;
+    room.isPlaying = false;
+    room.isPlayingFallback = false;
+    io.to(room.id).emit('now-playing', { song: null, startedAt: null, isPlayingFallback: false });
+    clearWatchdog(room.id);
+  }
+
+  // Move on to the next song: guest queue first, then the fallback playlist.
+  // `reason` is one of 'next', 'ended', 'skipped' or 'watchdog' and ends up
+  // in the history entry of the song that was playing.
+  function advance(room, reason) {
+    finishCurrent(room, reason);
+
+    if (room.queue.length > 0) {
+      startSong(room, room.queue.shift(), false);
+      onQueueChange(room);
+    } else if (room.fallbackPlaylist.length > 0) {
+      startSong(room, room.fallbackPlaylist.shift(), true);
+      onFallbackChange(room);
+    } else {
+      stop(room);
+    }
+    saveRoom(room);
+  }
+
+  function setPlaying(room, isPlaying) {
+    if (!room.currentSong || room.isPlaying === isPlaying) return;
+
+    if (isPlaying) {
+      room.currentSongStartedAt = new Date(Date.now() - (room.pausedPosition || 0) * 1000);
+      room.pausedPosition = null;
+    } else {
+      room.pausedPosition = getPosition(room);
+    }
+    room.isPlaying = isPlaying;
+    io.to(room.id).emit('play-state-changed', isPlaying);
+    emitSync(room);
+    scheduleWatchdog(room);
+    saveRoom(room);
+  }
+
+  // Progress heartbeat from the admin player: correct position drift and
+  // learn the real song length
+  function reportProgress(room, { songId, position, duration }) {
+    if (!room.currentSong || room.currentSong.id !== songId) return;
+    if (!Number.isFinite(position) || position < 0) return;
+
+    // The store is only written when the player reports a new song length:
+    // heartbeats arrive every few seconds, and the position is cheap to lose
+    const durationSeconds = Number.isFinite(duration) && duration > 0 ? Math.round(duration) : null;
+    const durationLearned = durationSeconds !== null && durationSeconds !== room.currentSong.durationSeconds;
+    if (durationLearned) {
+      room.currentSong.durationSeconds = durationSeconds;
+    }
+
+    const drift = Math.abs(getPosition(room) - position);
+    if (room.isPlaying) {
+      room.currentSongStartedAt = new Date(Date.now() - position * 1000);
+    } else {
+      room.pausedPosition = position;
+    }
+    if (drift > SYNC_DRIFT_THRESHOLD) {
+      emitSync(room);
+    }
+    scheduleWatchdog(room);
+    if (durationLearned) {
+      saveRoom(room);
+    }
+  }
+
+  // The admin player finished a song. Ignored if the room already moved on
+  // (e.g. the watchdog advanced it while the player was asleep).
+  function songEnded(room, songId) {
+    if (!room.currentSong) return;
+    if (songId && room.currentSong.id !== songId) return;
+    advance(room, 'ended');
+  }
+
+  // Re-arm watchdogs for rooms loaded from the store after a restart
+  function restore(rooms) {
+    for (const room of rooms) {
+      scheduleWatchdog(room);
+    }
+  }
+
+  function forget(roomId) {
+    clearWatchdog(roomId);
+  }
+
+  return {
+    getPosition,
+    playSong,
+    advance,
+    setPlaying,
+    reportProgress,
+    songEnded,
+    restore,
+    forget
+  };
+}
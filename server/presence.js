@@ -0,0 +1,98 @@
+// Presence tracking: who is in each room right now.
+//
+// Members are people, not sockets: a guest with the room open in three tabs
+// is one member with three connections, and all hosts share one member. When
+// a member's last connection drops they stay listed for a short grace period,
+// so a page reload or a flaky phone connection doesn't make them blink out
+// and back in.
+//
+// `onChange(roomId)` is called whenever a room's member list changes.
+export function createPresenceTracker({ onChange, gracePeriod = 5000 }) {
+  const rooms = new Map(); // roomId -> Map(memberKey -> member)
+  const sockets = new Map(); // socketId -> { roomId, key }
+
+  function getMembers(roomId) {
+    if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+    return rooms.get(roomId);
+  }
+
+  // Track a socket as `guestId` (or as the host when `isHost`)
+  function join(roomId, socketId, { guestId = null, isHost = false } = {}) {
+    leave(socketId, { immediate: true, silent: true });
+
+    const key = isHost ? 'host' : guestId;
+    const members = getMembers(roomId);
+    let member = members.get(key);
+    if (!member) {
+      member = { key, guestId, role: isHost ? 'host' : 'guest', connections: new Set(), joinedAt: new Date(), timer: null };
+      members.set(key, member);
+    }
+    clearTimeout(member.timer);
+    member.timer = null;
+    member.connections.add(socketId);
+    sockets.set(socketId, { roomId, key });
+    onChange(roomId);
+  }
+
+  // Stop tracking a socket. Its member goes away after the grace period,
+  // or right away with `immediate` (e.g. when kicked).
+  function leave(socketId, { immediate = false, silent = false } = {}) {
+    const entry = sockets.get(socketId);
+    if (!entry) return;
+    sockets.delete(socketId);
+
+    const members = getMembers(entry.roomId);
+    const member = members.get(entry.key);
+    if (!member) return;
+    member.connections.delete(socketId);
+    if (member.connections.size > 0) {
+      if (!silent) onChange(entry.roomId);
+      return;
+    }
+
+    const remove = () => {
+      if (member.connections.size > 0 || members.get(entry.key) !== member) return;
+      members.delete(entry.key);
+      onChange(entry.roomId);
+    };
+    if (immediate) {
+      remove();
+    } else {
+      clearTimeout(member.timer);
+      member.timer = setTimeout(remove, gracePeriod);
+      member.timer.unref();
+    }
+  }
+
+  // Members of a room: { guestId, role, connections (count), joinedAt }
+  function list(roomId) {
+    return [...getMembers(roomId).values()].map(member => ({
+      guestId: member.guestId,
+      role: member.role,
+      connections: member.connections.size,
+      joinedAt: member.joinedAt
+    }));
+  }
+
+  // Number of distinct guests (not hosts) in a room
+  function guestCount(roomId) {
+    return list(roomId).filter(member => member.role === 'guest').length;
+  }
+
+  function isOnline(roomId, guestId) {
+    return getMembers(roomId).has(guestId);
+  }
+
+  // Drop all state for a closed room
+  function forget(roomId) {
+    for (const member of getMembers(roomId).values()) {
+      clearTimeout(member.timer);
+    }
+    rooms.delete(roomId);
+    for (const [socketId, entry] of sockets) {
+      if (entry.roomId === roomId) sockets.delete(socketId);
+    }
+  }
+
+  return { join, leave, list, guestCount, isOnline, forget };
+}
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import { safeEqual } from './auth.js';
+import { getSettings } from './settings.js';
+
+// Private rooms.
+//
+// A private room only lets guests in with its access key. They get it from
+// the invite link in the host's QR code, or by entering the room's passcode,
+// which is exchanged for the key. The key is an HMAC of the room ID with a
+// per-room secret, so resetting the secret kills every old invite link at
+// once. Admins don't need a key.
+//
+// Guests who are already connected when the room goes private (or the link
+// is reset) are handed the new key, so only newcomers are affected.
+
+function getInviteSecret(room) {
+  if (!room.inviteSecret) room.inviteSecret = nanoid(24);
+  return room.inviteSecret;
+}
+
+export function isPrivate(room) {
+  return getSettings(room).privacy.private;
+}
+
+export function getAccessKey(room) {
+  return crypto.createHmac('sha256', getInviteSecret(room)).update(room.id).digest('base64url');
+}
+
+// True if the room is public or `accessKey` is its current key
+export function hasAccess(room, accessKey) {
+  return !isPrivate(room) || safeEqual(accessKey, getAccessKey(room));
+}
+
+// False if the room has no passcode (invite link only)
+export function checkPasscode(room, passcode) {
+  const expected = getSettings(room).privacy.passcode;
+  return Boolean(expected) && typeof passcode === 'string' && safeEqual(passcode.trim(), expected);
+}
+
+// New secret, new key: old invite links stop working
+export function resetAccessKey(room) {
+  room.inviteSecret = nanoid(24);
+  return getAccessKey(room);
+}
@@ -0,0 +1,87 @@
+// Queue ordering.
+//
+// In the default 'fifo' mode the queue is left in whatever order songs were
+// added or the admin arranged them. In 'democratic' mode guests vote songs
+// up or down and the queue is kept sorted by score, ties broken by arrival
+// time. In 'fair' mode requests are interleaved by requester like a karaoke
+// rotation: every song gets a round number and nobody gets a second turn
+// before everyone else with songs queued had their current one.
+//
+// In the sorted modes, songs the admin pinned (or dragged into place) keep
+// their slot no matter how the sorting goes.
+
+export const QUEUE_MODES = ['fifo', 'democratic', 'fair'];
+
+function addedTime(song) {
+  return new Date(song.addedAt).getTime() || 0;
+}
+
+// Total score of a song from its { voterId: 1 | -1 } map
+export function getScore(song) {
+  return Object.values(song.votes || {}).reduce((sum, vote) => sum + vote, 0);
+}
+
+// Record a guest's vote on a song. `vote` is 1, -1 or 0 to withdraw it.
+export function castVote(song, voterId, vote) {
+  if (!song.votes) song.votes = {};
+  if (vote === 0) {
+    delete song.votes[voterId];
+  } else {
+    song.votes[voterId] = vote > 0 ? 1 : -1;
+  }
+  song.score = getScore(song);
+}
+
+// Who requested a song (used for the fair rotation and per-guest limits)
+export function requesterKey(song) {
+  return song.guestId || song.addedBy || 'Guest';
+}
+
+// Give a new song its turn: one round after the requester's last queued
+// song, or the current round if they have nothing queued
+export function assignFairRound(queue, song) {
+  const key = requesterKey(song);
+  const rounds = queue.filter(s => s !== song).map(s => s.fairRound || 0);
+  const ownRounds = queue
+    .filter(s => s !== song && requesterKey(s) === key)
+    .map(s => s.fairRound || 0);
+
+  song.fairRound = ownRounds.length > 0
+    ? Math.max(...ownRounds) + 1
+    : (rounds.length > 0 ? Math.min(...rounds) : 0);
+}
+
+// Recompute rounds from the current queue order (when fair mode is turned on)
+export function resetFairRounds(queue) {
+  const counts = new Map();
+  for (const song of queue) {
+    const key = requesterKey(song);
+    song.fairRound = counts.get(key) || 0;
+    counts.set(key, song.fairRound + 1);
+  }
+}
+
+function byScore(a, b) {
+  return getScore(b) - getScore(a) || addedTime(a) - addedTime(b);
+}
+
+function byRound(a, b) {
+  return (a.fairRound || 0) - (b.fairRound || 0) || addedTime(a) - addedTime(b);
+}
+
+const COMPARATORS = {
+  democratic: byScore,
+  fair: byRound
+};
+
+// Reorder the queue in place for the given mode. Pinned songs stay where
+// they are, the rest fill the free slots in sorted order.
+export function orderQueue(queue, mode) {
+  const compare = COMPARATORS[mode];
+  if (!compare) return queue;
+
+  const sorted = queue.filter(song => !song.pinned).sort(compare);
+  const result = queue.map(song => (song.pinned ? song : sorted.shift()));
+  queue.splice(0, queue.length, ...result);
+  return queue;
+}
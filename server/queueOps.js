@@ -0,0 +1,91 @@
+// Versioned edits to the queue and the fallback playlist.
+//
+// Every change to either list bumps its version (`room.queueVersion`,
+// `room.fallbackVersion`), which is sent along with the list. Admins don't
+// send back whole reordered lists; they send one operation at a time, keyed
+// by song ID and carrying the version they were looking at:
+//
+//   { type: 'move', songId, afterId, baseVersion }
+//   { type: 'insert', song, afterId, baseVersion }
+//   { type: 'remove', songId, baseVersion }
+//   { type: 'play', songId, baseVersion }
+//
+// 'play' starts the song in the same step. Queue songs are taken out of the
+// queue; fallback songs stay in the playlist.
+// `afterId` is the song it should end up behind, or null for the top
+// (inserts without one go to the end). Because positions are given by ID,
+// an operation made against an older version is rebased onto the current
+// list as long as the songs it names are still there. Otherwise it's
+// rejected and the admin gets the current list back.
+
+export const LIST_OPS = ['move', 'insert', 'remove', 'play'];
+
+const LISTS = {
+  queue: { key: 'queue', version: 'queueVersion' },
+  fallback: { key: 'fallbackPlaylist', version: 'fallbackVersion' }
+};
+
+export function getVersion(room, list) {
+  return room[LISTS[list].version] || 0;
+}
+
+// Call after every change to the list
+export function bumpVersion(room, list) {
+  room[LISTS[list].version] = getVersion(room, list) + 1;
+  return room[LISTS[list].version];
+}
+
+// The `queue-updated` / `fallback-updated` payload
+export function listPayload(room, list) {
+  const items = room[LISTS[list].key];
+  return list === 'queue'
+    ? { queue: items, version: getVersion(room, list) }
+    : { playlist: items, version: getVersion(room, list) };
+}
+
+// Apply an operation to one of the room's lists. For inserts, `op.song` must
+// already be a complete, validated entry. Returns `{ song, rebased }` with
+// the song that was moved, inserted, removed or picked to play, or an
+// error payload. Starting playback is up to the caller.
+export function applyListOp(room, list, op) {
+  const items = room[LISTS[list].key];
+  const version = getVersion(room, list);
+
+  if (!op || !LIST_OPS.includes(op.type)) {
+    return { error: 'Unknown operation.', type: 'invalid_op' };
+  }
+  if (!Number.isInteger(op.baseVersion) || op.baseVersion < 0 || op.baseVersion > version) {
+    return { error: 'Unknown list version.', type: 'invalid_op' };
+  }
+
+  // Songs the operation names that aren't there any more mean it was based
+  // on a list that has changed too much to rebase
+  const stale = op.baseVersion < version;
+  const missing = {
+    error: stale ? 'The list changed while you were editing it.' : 'That song isn\'t in the list.',
+    type: stale ? 'stale' : 'not_found'
+  };
+
+  const index = op.type === 'insert' ? -1 : items.findIndex(s => s.id === op.songId);
+  if (op.type !== 'insert' && index === -1) return missing;
+
+  if (op.type === 'play' && list === 'fallback') {
+    return { song: items[index], rebased: stale };
+  }
+  if (op.type === 'remove' || op.type === 'play') {
+    const [song] = items.splice(index, 1);
+    return { song, rebased: stale };
+  }
+
+  const append = op.type === 'insert' && op.afterId === undefined;
+  if (!append && op.afterId !== null && (op.afterId === op.songId || !items.some(s => s.id === op.afterId))) {
+    return missing;
+  }
+
+  const song = op.type === 'insert' ? op.song : items.splice(index, 1)[0];
+  let position = 0;
+  if (append) position = items.length;
+  else if (op.afterId !== null) position = items.findIndex(s => s.id === op.afterId) + 1;
+  items.splice(position, 0, song);
+  return { song, rebased: stale };
+}
@@ -0,0 +1,120 @@
+import { bumpVersion, listPayload } from './queueOps.js';
+
+// Queue broadcasts.
+//
+// Instead of sending the whole queue to every socket on each change, the
+// server sends a `queue-delta` with what changed since the previous version:
+//
+//   { version, removed: [songId], added: [{ song, index }],
+//     updated: [song], moved: [{ id, index }] }
+//
+// To apply it, drop `removed`, swap in `updated`, put `added` and `moved`
+// songs at their index and fill the remaining slots with the other songs in
+// their current order. `moved` is kept small (everything outside the longest
+// run of songs that kept their order), so dragging one song moves one song.
+//
+// Every SNAPSHOT_INTERVAL versions, and when there's no earlier broadcast to
+// diff against (after a restart), the full queue goes out as `queue-updated`
+// instead. A client that gets a version it didn't expect has missed a delta
+// and asks for the full queue with `request-queue-sync`.
+
+const SNAPSHOT_INTERVAL = 25;
+
+// Songs of a queue as last sent: [{ id, json }]
+function describe(queue) {
+  return queue.map(song => ({ id: song.id, json: JSON.stringify(song) }));
+}
+
+// Indices of the longest strictly increasing subsequence of `values`
+function longestIncreasing(values) {
+  const tails = []; // index into values of the smallest tail per length
+  const previous = new Array(values.length);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+function diffQueue(previous, current, queue) {
+  const before = new Map(previous.map((entry, index) => [entry.id, { json: entry.json, index }]));
+  const ids = new Set(current.map(entry => entry.id));
+
+  const removed = previous.filter(entry => !ids.has(entry.id)).map(entry => entry.id);
+  const added = [];
+  const updated = [];
+  const kept = [];
+  current.forEach((entry, index) => {
+    const old = before.get(entry.id);
+    if (!old) {
+      added.push({ song: queue[index], index });
+      return;
+    }
+    if (old.json !== entry.json) updated.push(queue[index]);
+    kept.push({ id: entry.id, index, oldIndex: old.index });
+  });
+
+  const staying = longestIncreasing(kept.map(song => song.oldIndex));
+  const moved = kept.filter((song, i) => !staying.has(i)).map(({ id, index }) => ({ id, index }));
+
+  return { removed, added, updated, moved };
+}
+
+function isEmpty(delta) {
+  return !delta.removed.length && !delta.added.length && !delta.updated.length && !delta.moved.length;
+}
+
+export function createQueueSync({ io }) {
+  const lastSent = new Map(); // roomId -> describe(queue) at the last broadcast
+
+  // Tell the room about a change to its queue. Bumps the version unless
+  // nothing actually changed.
+  function publish(room) {
+    const current = describe(room.queue);
+    const previous = lastSent.get(room.id);
+    const delta = previous && diffQueue(previous, current, room.queue);
+    if (delta && isEmpty(delta)) return;
+
+    const version = bumpVersion(room, 'queue');
+    lastSent.set(room.id, current);
+    if (!delta || version % SNAPSHOT_INTERVAL === 0) {
+      io.to(room.id).emit('queue-updated', listPayload(room, 'queue'));
+    } else {
+      io.to(room.id).emit('queue-delta', { version, ...delta });
+    }
+  }
+
+  // Make sure the room's queue and version match what was last broadcast,
+  // so a snapshot sent now lines up with the deltas that follow
+  function flush(room) {
+    if (lastSent.has(room.id)) {
+      publish(room);
+    } else {
+      lastSent.set(room.id, describe(room.queue));
+    }
+  }
+
+  // The full queue for one socket that lost track
+  function sendSnapshot(socket, room) {
+    flush(room);
+    socket.emit('queue-updated', listPayload(room, 'queue'));
+  }
+
+  function forget(roomId) {
+    lastSent.delete(roomId);
+  }
+
+  return { publish, flush, sendSnapshot, forget };
+}
@@ -0,0 +1,27 @@
+// Live reactions to the song that's playing.
+//
+// Reactions are stored on the current song as { emoji: [guestId, ...] }, so
+// each guest counts once per emoji per song however often they tap. When
+// the song ends the counts go into its history entry.
+
+export const REACTIONS = ['🔥', '❤️', '💃', '👎'];
+
+// Record a guest's reaction. Returns false if it isn't a known reaction or
+// the guest already reacted with it.
+export function addReaction(song, guestId, emoji) {
+  if (!REACTIONS.includes(emoji)) return false;
+  if (!song.reactions) song.reactions = {};
+  const reactors = song.reactions[emoji] || [];
+  if (reactors.includes(guestId)) return false;
+  song.reactions[emoji] = [...reactors, guestId];
+  return true;
+}
+
+// { emoji: count } for the reactions a song got
+export function getReactionCounts(song) {
+  const counts = {};
+  for (const [emoji, reactors] of Object.entries(song.reactions || {})) {
+    if (reactors.length > 0) counts[emoji] = reactors.length;
+  }
+  return counts;
+}
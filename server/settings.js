@@ -0,0 +1,138 @@
+import { QUEUE_MODES } from './queue.js';
+import { sanitizeList } from './contentFilter.js';
+
+// Host-configurable room settings.
+//
+// Settings live on `room.settings`. Updates from the admin client are
+// partial: only known keys are applied, and every value is validated and
+// clamped so a bad payload can't put the room in a broken state.
+//
+// Sections listed in PRIVATE_SECTIONS are only ever sent to admins.
+
+export const DEFAULT_SETTINGS = {
+  queue: {
+    mode: 'fifo' // see QUEUE_MODES in server/queue.js
+  },
+  limits: {
+    maxPendingPerGuest: 0, // songs a guest may have queued at once (0 = unlimited)
+    cooldownSeconds: 0, // minimum time between a guest's requests
+    maxQueueLength: 0, // songs in the queue (0 = unlimited)
+    maxQueueMinutes: 0 // total queued play time (0 = unlimited)
+  },
+  durationLimits: {
+    minSeconds: 0, // shortest allowed song (0 = no minimum)
+    maxMinutes: 0, // longest allowed song (0 = no maximum)
+    allowLive: false, // accept live streams
+    allowUnknown: true // accept songs whose length we can't tell
+  },
+  duplicates: {
+    policy: 'reject', // 'reject' or 'merge' (credit the new requester on the queued song)
+    recentMinutes: 60 // refuse songs played within this many minutes (0 = off)
+  },
+  voteSkip: {
+    enabled: true,
+    mode: 'percent', // 'count' (absolute votes) or 'percent' (of connected guests)
+    threshold: 50
+  },
+  approval: {
+    required: false // guest requests wait for the host's approval (see server/approvals.js)
+  },
+  contentFilter: {
+    keywords: [], // blocked words in song titles
+    channels: [], // blocked channel names
+    videoIds: [], // blocked videos
+    explicitPreset: false // also block EXPLICIT_KEYWORDS from server/contentFilter.js
+  },
+  privacy: {
+    private: false, // guests need the invite link or passcode (see server/privacy.js)
+    passcode: '' // empty = invite link only
+  }
+};
+
+const PRIVATE_SECTIONS = ['contentFilter', 'privacy'];
+
+const MAX_PASSCODE_LENGTH = 50;
+
+function clampNumber(value, min, max, fallback) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(num)));
+}
+
+// Validators per settings section: (patch, current) => next
+const SECTION_VALIDATORS = {
+  queue: (patch, current) => ({
+    mode: QUEUE_MODES.includes(patch.mode) ? patch.mode : current.mode
+  }),
+  limits: (patch, current) => ({
+    maxPendingPerGuest: clampNumber(patch.maxPendingPerGuest ?? current.maxPendingPerGuest, 0, 100, current.maxPendingPerGuest),
+    cooldownSeconds: clampNumber(patch.cooldownSeconds ?? current.cooldownSeconds, 0, 3600, current.cooldownSeconds),
+    maxQueueLength: clampNumber(patch.maxQueueLength ?? current.maxQueueLength, 0, 1000, current.maxQueueLength),
+    maxQueueMinutes: clampNumber(patch.maxQueueMinutes ?? current.maxQueueMinutes, 0, 24 * 60, current.maxQueueMinutes)
+  }),
+  durationLimits: (patch, current) => ({
+    minSeconds: clampNumber(patch.minSeconds ?? current.minSeconds, 0, 3600, current.minSeconds),
+    maxMinutes: clampNumber(patch.maxMinutes ?? current.maxMinutes, 0, 24 * 60, current.maxMinutes),
+    allowLive: typeof patch.allowLive === 'boolean' ? patch.allowLive : current.allowLive,
+    allowUnknown: typeof patch.allowUnknown === 'boolean' ? patch.allowUnknown : current.allowUnknown
+  }),
+  duplicates: (patch, current) => ({
+    policy: ['reject', 'merge'].includes(patch.policy) ? patch.policy : current.policy,
+    recentMinutes: clampNumber(patch.recentMinutes ?? current.recentMinutes, 0, 24 * 60, current.recentMinutes)
+  }),
+  voteSkip: (patch, current) => {
+    const mode = ['count', 'percent'].includes(patch.mode) ? patch.mode : current.mode;
+    const maxThreshold = mode === 'percent' ? 100 : 1000;
+    return {
+      enabled: typeof patch.enabled === 'boolean' ? patch.enabled : current.enabled,
+      mode,
+      threshold: clampNumber(patch.threshold ?? current.threshold, 1, maxThreshold, current.threshold)
+    };
+  },
+  approval: (patch, current) => ({
+    required: typeof patch.required === 'boolean' ? patch.required : current.required
+  }),
+  contentFilter: (patch, current) => ({
+    keywords: patch.keywords ? sanitizeList(patch.keywords) : current.keywords,
+    channels: patch.channels ? sanitizeList(patch.channels) : current.channels,
+    videoIds: patch.videoIds ? sanitizeList(patch.videoIds, { videoIds: true }) : current.videoIds,
+    explicitPreset: typeof patch.explicitPreset === 'boolean' ? patch.explicitPreset : current.explicitPreset
+  }),
+  privacy: (patch, current) => ({
+    private: typeof patch.private === 'boolean' ? patch.private : current.private,
+    passcode: typeof patch.passcode === 'string' ? patch.passcode.trim().slice(0, MAX_PASSCODE_LENGTH) : current.passcode
+  })
+};
+
+// Settings for a room, filling in defaults for anything missing (e.g. rooms
+// created before a setting existed)
+export function getSettings(room) {
+  const settings = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = { ...defaults, ...(room.settings?.[section] || {}) };
+  }
+  return settings;
+}
+
+// Settings safe to show guests
+export function getPublicSettings(room) {
+  const settings = getSettings(room);
+  for (const section of PRIVATE_SECTIONS) {
+    delete settings[section];
+  }
+  return settings;
+}
+
+// Apply a partial settings update and return the new settings
+export function applySettings(room, patch) {
+  const settings = getSettings(room);
+  if (!patch || typeof patch !== 'object') return settings;
+
+  for (const [section, validate] of Object.entries(SECTION_VALIDATORS)) {
+    if (patch[section] && typeof patch[section] === 'object') {
+      settings[section] = validate(patch[section], settings[section]);
+    }
+  }
+  room.settings = settings;
+  return settings;
+}
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+
+// Room storage backends.
+//
+// Every store exposes the same synchronous interface so the socket handlers
+// don't have to care where rooms live:
+//   get(roomId), set(room), save(room), delete(roomId), values(), flush()
+// `set` registers a new room, `save` marks an existing (mutated) room dirty.
+
+// Fields stored as Date objects on the room that need reviving after a reload
+const DATE_FIELDS = ['createdAt', 'currentSongStartedAt', 'currentSongPlayedAt'];
+
+function reviveRoom(room) {
+  for (const field of DATE_FIELDS) {
+    if (room[field]) {
+      room[field] = new Date(room[field]);
+    }
+  }
+  return room;
+}
+
+// Plain in-memory store (rooms are lost on restart)
+export function createMemoryStore() {
+  const rooms = new Map();
+
+  return {
+    name: 'memory',
+    get: (roomId) => rooms.get(roomId),
+    set: (room) => { rooms.set(room.id, room); },
+    save: () => {},
+    delete: (roomId) => { rooms.delete(roomId); },
+    values: () => rooms.values(),
+    flush: () => {}
+  };
+}
+
+// JSON file store: keeps rooms in memory and writes the whole file back
+// shortly after any change, so a restart picks up where the party left off.
+export function createFileStore(filePath, { writeDelay = 1000 } = {}) {
+  const rooms = new Map();
+  let writeTimer = null;
+
+  // Load existing rooms from disk
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const room of data.rooms || []) {
+        rooms.set(room.id, reviveRoom(room));
+      }
+      console.log(`Loaded ${rooms.size} room(s) from ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`Failed to load rooms from ${filePath}:`, error.message);
+  }
+
+  // Write to a temp file and rename it so a crash mid-write can't corrupt the store
+  function writeNow() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ rooms: [...rooms.values()] }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error(`Failed to write rooms to ${filePath}:`, error.message);
+    }
+  }
+
+  function scheduleWrite() {
+    if (!writeTimer) {
+      writeTimer = setTimeout(writeNow, writeDelay);
+    }
+  }
+
+  return {
+    name: 'file',
+    get: (roomId) => rooms.get(roomId),
+    set: (room) => {
+      rooms.set(room.id, room);
+      scheduleWrite();
+    },
+    save: () => scheduleWrite(),
+    delete: (roomId) => {
+      rooms.delete(roomId);
+      scheduleWrite();
+    },
+    values: () => rooms.values(),
+    flush: () => {
+      if (writeTimer) writeNow();
+    }
+  };
+}
+
+// Pick a store based on the ROOM_STORE / ROOM_STORE_PATH environment variables
+export function createRoomStore() {
+  const type = process.env.ROOM_STORE || 'memory';
+
+  if (type === 'file') {
+    const filePath = process.env.ROOM_STORE_PATH || path.join(process.cwd(), 'data', 'rooms.json');
+    return createFileStore(filePath);
+  }
+
+  if (type !== 'memory') {
+    console.warn(`Unknown ROOM_STORE "${type}", falling back to in-memory storage`);
+  }
+
+  return createMemoryStore();
+}